@@ -0,0 +1,16 @@
+#!/usr/bin/env node
+
+'use strict';
+
+var cli = require('../lib/cli');
+var Moz = require('../lib/Moz');
+
+cli.run(process.argv.slice(2), {
+  env: process.env,
+  stdin: process.stdin,
+  stdout: process.stdout,
+  stderr: process.stderr,
+  Moz: Moz
+}).then(function exit(code) {
+  process.exitCode = code;
+});
@@ -0,0 +1,934 @@
+import {
+  AnchorTextCol,
+  AnchorTextFilter,
+  AnchorTextScope,
+  DecodedRow,
+  LinksCol,
+  LinksFilter,
+  LinksScope,
+  LinksSort,
+  RawRow,
+  TopPagesFilter,
+  TopPagesSort,
+  UrlMetricsCol,
+  V2Scope
+} from './types/generated';
+
+export * from './types/generated';
+
+export type ApiVersion = 1 | 2;
+
+export type BitFlagType = 'url-metrics' | 'anchor-text' | 'links';
+
+export interface RateLimit {
+  requests?: number;
+  interval?: number;
+  concurrency?: number;
+}
+
+export interface RetryPolicy {
+  attempts?: number;
+  minDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: boolean;
+  network?: boolean;
+  statusCodes?: number[];
+}
+
+export interface CachedResponse {
+  status: number;
+  statusText?: string;
+  headers: Record<string, string>;
+  data: unknown;
+}
+
+export interface CacheEntry {
+  expires: number;
+  storedAt: number;
+  response: CachedResponse;
+}
+
+export interface CacheStore {
+  get(key: string): CacheEntry | undefined | Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+  clear?(): void | Promise<void>;
+}
+
+export interface CacheOptions {
+  store?: CacheStore;
+  ttl?: number;
+  max?: number;
+  /** Look up the last index update on this interval, in milliseconds. Hourly by default; `false` turns it off. */
+  checkIndex?: boolean | number;
+}
+
+export interface ProxyConfig {
+  protocol?: string;
+  host: string;
+  port?: number;
+  auth?: { username: string; password: string };
+}
+
+export interface ServerOptions {
+  protocol?: 'http' | 'https' | 'http:' | 'https:';
+  host?: string;
+  port?: number;
+  basePath?: string;
+}
+
+export interface TransportRequest {
+  method: 'get' | 'post';
+  url: string;
+  data?: unknown;
+  headers?: Record<string, string>;
+  auth?: { username: string; password: string };
+  proxy?: ProxyConfig;
+}
+
+export interface TransportResponse {
+  status: number;
+  statusText?: string;
+  headers: Record<string, string>;
+  data: unknown;
+}
+
+/**
+ * Failures reject with an error carrying `request` and, when the api
+ * answered, `response`.
+ */
+export interface Transport {
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export type TransportFunction = (
+  config: TransportRequest
+) => Partial<TransportResponse> & { status: number } | Promise<Partial<TransportResponse> & { status: number }>;
+
+/** The subset of the WHATWG `fetch` used by FetchTransport. */
+export type FetchFunction = (url: string, init: {
+  method: string;
+  headers: Record<string, string>;
+  body?: string;
+}) => Promise<{
+  ok: boolean;
+  status: number;
+  statusText: string;
+  headers: { forEach(callback: (value: string, key: string) => void): void };
+  text(): Promise<string>;
+}>;
+
+/** Returns the base64 HMAC-SHA1 of `message`, or a promise of it. */
+export type SignFunction = (key: string, message: string) => string | Promise<string>;
+
+export interface Signer {
+  sign: SignFunction;
+}
+
+export interface Credentials {
+  accessId: string;
+  secretKey: string;
+  name?: string;
+}
+
+export type RotationStrategy = 'round-robin' | 'least-used' | 'failover';
+
+export interface RotationOptions {
+  strategy?: RotationStrategy;
+  /** Milliseconds a rate limited key rests without a Retry-After, 60000 by default. */
+  cooldown?: number;
+}
+
+export interface PooledCredentials extends Credentials {
+  name: string;
+  uses: number;
+  failures: number;
+  disabled: boolean;
+  restUntil: number;
+  index: number;
+}
+
+export declare class CredentialPool {
+  static STRATEGIES: RotationStrategy[];
+  static DEFAULT_COOLDOWN: number;
+  static validateCredentials(credentials: unknown, field?: string): Credentials;
+
+  constructor(credentials: Credentials[], rotation?: RotationStrategy | RotationOptions);
+
+  strategy: RotationStrategy;
+  cooldown: number;
+  keys: PooledCredentials[];
+
+  acquire(): PooledCredentials;
+  fail(credentials: PooledCredentials, error: unknown, expired?: boolean): boolean;
+  reset(): void;
+  summary(): Array<{ name: string; accessId: string; uses: number; failures: number; available: boolean }>;
+}
+
+interface SingleKey {
+  accessId: string;
+  secretKey: string;
+  credentials?: Credentials[];
+}
+
+interface KeyPool {
+  accessId?: string;
+  secretKey?: string;
+  credentials: Credentials[];
+}
+
+export type MozOptions<V extends ApiVersion = 1> = (SingleKey | KeyPool) & BaseMozOptions<V>;
+
+export interface BaseMozOptions<V extends ApiVersion = 1> extends ServerOptions {
+  rotation?: RotationStrategy | RotationOptions;
+  apiVersion?: V;
+  rateLimit?: 'free' | RateLimit;
+  retry?: RetryPolicy | false;
+  cache?: boolean | CacheOptions | Cache;
+  transport?: 'axios' | 'fetch' | Transport | TransportFunction;
+  signer?: 'node' | 'webcrypto' | Signer | SignFunction;
+  proxy?: string | ProxyConfig | false;
+  fixtures?: FixturesOptions | false;
+  budget?: number | Budget;
+  clock?: ClockOptions;
+  /** Where warnings go, `console.warn` by default; false drops them. */
+  warn?: ((message: string) => void) | false;
+}
+
+export interface FetchOptions {
+  credentials?: Credentials;
+  decode?: boolean;
+  retry?: RetryPolicy | false;
+  cache?: boolean;
+}
+
+export interface DecodeOptions extends FetchOptions {
+  decode: true;
+}
+
+export interface MozResponse<T> {
+  data: T;
+  status: number;
+  statusText?: string;
+  headers: Record<string, string>;
+  fromCache?: boolean;
+  fromFixture?: boolean;
+  /** The undecoded payload, present when `decode` was requested. */
+  raw?: unknown;
+}
+
+export interface BatchResponse<T> extends MozResponse<T[]> {
+  byUrl: Record<string, T>;
+  responses: MozResponse<T[]>[];
+}
+
+export interface QueuedPromise<T> extends Promise<T> {
+  /** Requests ahead of this one in the scheduler queue, 0 once sent. */
+  queuePosition(): number;
+}
+
+export interface IterateOptions extends FetchOptions {
+  maxRows?: number;
+}
+
+export interface BatchOptions extends FetchOptions {
+  batchSize?: number;
+  concurrency?: number;
+}
+
+export interface UrlMetricsParams {
+  cols?: UrlMetricsCol[];
+  sourceCols?: UrlMetricsCol[];
+  targetCols?: UrlMetricsCol[];
+  linkCols?: UrlMetricsCol[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface LinksParams {
+  scope?: LinksScope;
+  sort?: LinksSort;
+  filter?: LinksFilter | LinksFilter[];
+  sourceDomain?: string;
+  sourceCols?: UrlMetricsCol[];
+  targetCols?: UrlMetricsCol[];
+  linkCols?: LinksCol[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface AnchorTextParams {
+  scope: AnchorTextScope;
+  filter?: AnchorTextFilter | AnchorTextFilter[];
+  cols?: AnchorTextCol[];
+  sourceCols?: UrlMetricsCol[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface TopPagesParams {
+  filter?: TopPagesFilter | TopPagesFilter[];
+  sort?: TopPagesSort;
+  cols?: UrlMetricsCol[];
+  limit?: number;
+  offset?: number;
+}
+
+export interface ParamRule {
+  type?: 'string' | 'number' | 'boolean' | 'url' | 'cols' | 'targets';
+  required?: boolean;
+  default?: unknown;
+  /** Allowed values of a string param, or of the scopes of a `targets` param. */
+  enum?: string[];
+  /** What the allowed values are called in messages, such as `sorting`. */
+  enumName?: string;
+  /** Takes an array of values as well. */
+  multiple?: boolean;
+  integer?: boolean;
+  min?: number;
+  max?: number;
+  /** Bit flag table of a `cols` param. */
+  flags?: string;
+}
+
+export interface MappingRule {
+  type: 'mapping';
+  field: string;
+  dependent: string;
+  mapping: Record<string, string[]>;
+}
+
+export interface ParamSchema {
+  target?: { type: 'url' | 'urls'; required?: boolean };
+  params: Record<string, ParamRule>;
+  rules?: MappingRule[];
+}
+
+export interface SchemaCheckOptions {
+  /** Skip the target and required params. */
+  partial?: boolean;
+  flags?: Record<string, unknown>;
+}
+
+export declare namespace schema {
+  const TYPES: string[];
+  function check(schema: ParamSchema, target: unknown, params?: object, options?: SchemaCheckOptions): MozValidationError[];
+  function assert(schema: ParamSchema, target: unknown, params?: object, options?: SchemaCheckOptions): true;
+  function defaults(schema: ParamSchema): Record<string, unknown>;
+  function colFlags(schema: ParamSchema): Record<string, string>;
+  function values(schema: ParamSchema, param: string): string[];
+  function mapping(schema: ParamSchema, field: string, dependent: string): Record<string, string[]> | undefined;
+}
+
+/** A request url taken apart by `Moz.parseRequestUrl()`. */
+export interface ParsedRequestUrl {
+  apiVersion: ApiVersion;
+  endpoint: string;
+  /** Undefined for batch posts, targetless and v2 endpoints. */
+  target?: string;
+  /** Named like the `fetch()` params, with cols as flag names. */
+  params: Record<string, string | string[] | number>;
+  accessId?: string;
+  expires?: number;
+}
+
+export interface MozEndpoint {
+  endpoint: string;
+  paginated: boolean;
+  /** False for endpoints whose responses belong to one account, such as usage data. */
+  cacheable: boolean;
+  schema: ParamSchema | null;
+
+  /** Throws a MozValidationError listing every problem in `errors`. */
+  validate(target: unknown, params?: object): void;
+  /** Like `validate()` without the target and required params. */
+  validateParams(params?: object): void;
+  setRetryPolicy(policy: RetryPolicy | false | null): void;
+}
+
+/** What `fetch()` would send, from `buildRequest()`. */
+export interface BuiltRequest {
+  method: 'GET' | 'POST';
+  url: string;
+  headers: Record<string, string>;
+  body?: unknown;
+  /** Column names per bit flag param. */
+  cols: Record<string, string[]>;
+  /** Epoch seconds the signature expires at, null for v2. */
+  expires: number | null;
+}
+
+interface RequestBuilder<T, P> {
+  buildRequest(target: T, params?: P): BuiltRequest;
+  buildRedactedRequest(target: T, params?: P): BuiltRequest;
+}
+
+interface PaginatedEndpoint<P, R> extends RequestBuilder<string, P> {
+  fetch(target: string, params: P, options: DecodeOptions): QueuedPromise<MozResponse<DecodedRow[]>>;
+  fetch(target: string, params?: P, options?: FetchOptions): QueuedPromise<MozResponse<R[]>>;
+  iterate(target: string, params: P, options: IterateOptions & DecodeOptions): AsyncIterableIterator<DecodedRow>;
+  iterate(target: string, params?: P, options?: IterateOptions): AsyncIterableIterator<R>;
+}
+
+export interface UrlMetrics extends MozEndpoint, RequestBuilder<string | string[], UrlMetricsParams> {
+  maxBatchSize: number;
+  batchConcurrency: number;
+
+  fetch(target: string, params: UrlMetricsParams, options: DecodeOptions): QueuedPromise<MozResponse<DecodedRow>>;
+  fetch(target: string, params?: UrlMetricsParams, options?: FetchOptions): QueuedPromise<MozResponse<RawRow>>;
+  fetch(target: string[], params: UrlMetricsParams, options: BatchOptions & DecodeOptions): Promise<BatchResponse<DecodedRow>>;
+  fetch(target: string[], params?: UrlMetricsParams, options?: BatchOptions): Promise<BatchResponse<RawRow>>;
+  fetchBatch(target: string[], params: UrlMetricsParams, options: BatchOptions & DecodeOptions): Promise<BatchResponse<DecodedRow>>;
+  fetchBatch(target: string[], params?: UrlMetricsParams, options?: BatchOptions): Promise<BatchResponse<RawRow>>;
+}
+
+export interface QueryRequest<P> extends BuiltRequest {
+  method: 'GET';
+  endpoint: string;
+  target: string;
+  params: P;
+}
+
+/** Every step validates immediately and returns a new builder. */
+export interface LinksQuery {
+  scope(scope: LinksScope): LinksQuery;
+  sort(sort: LinksSort): LinksQuery;
+  filter(...filters: LinksFilter[]): LinksQuery;
+  sourceDomain(url: string): LinksQuery;
+  sourceCols(cols: UrlMetricsCol[]): LinksQuery;
+  targetCols(cols: UrlMetricsCol[]): LinksQuery;
+  linkCols(cols: LinksCol[]): LinksQuery;
+  limit(limit: number): LinksQuery;
+  offset(offset: number): LinksQuery;
+  params(): LinksParams;
+  toRequest(): QueryRequest<LinksParams>;
+  fetch(options: DecodeOptions): QueuedPromise<MozResponse<DecodedRow[]>>;
+  fetch(options?: FetchOptions): QueuedPromise<MozResponse<RawRow[]>>;
+  iterate(options: IterateOptions & DecodeOptions): AsyncIterableIterator<DecodedRow>;
+  iterate(options?: IterateOptions): AsyncIterableIterator<RawRow>;
+}
+
+export interface AnchorTextQuery {
+  scope(scope: AnchorTextScope): AnchorTextQuery;
+  filter(filter: AnchorTextFilter): AnchorTextQuery;
+  cols(cols: AnchorTextCol[]): AnchorTextQuery;
+  sourceCols(cols: UrlMetricsCol[]): AnchorTextQuery;
+  limit(limit: number): AnchorTextQuery;
+  offset(offset: number): AnchorTextQuery;
+  params(): Partial<AnchorTextParams>;
+  toRequest(): QueryRequest<AnchorTextParams>;
+  fetch(options: DecodeOptions): QueuedPromise<MozResponse<DecodedRow[]>>;
+  fetch(options?: FetchOptions): QueuedPromise<MozResponse<RawRow[]>>;
+  iterate(options: IterateOptions & DecodeOptions): AsyncIterableIterator<DecodedRow>;
+  iterate(options?: IterateOptions): AsyncIterableIterator<RawRow>;
+}
+
+export interface Links extends MozEndpoint, PaginatedEndpoint<LinksParams, RawRow> {
+  for(target: string): LinksQuery;
+  snapshot(target: string, params?: LinksParams, options?: FetchOptions): Promise<Snapshot>;
+  scopes: LinksScope[];
+  sorting: LinksSort[];
+  filters: LinksFilter[];
+  scopeToSortMapping: Partial<Record<LinksScope, LinksSort[]>>;
+  filterToSortMapping: Partial<Record<LinksFilter, LinksSort[]>>;
+}
+
+export interface AnchorText extends MozEndpoint, PaginatedEndpoint<AnchorTextParams, RawRow> {
+  for(target: string): AnchorTextQuery;
+  scopes: AnchorTextScope[];
+  filters: AnchorTextFilter[];
+}
+
+export interface TopPages extends MozEndpoint, PaginatedEndpoint<TopPagesParams, RawRow> {
+  sorting: TopPagesSort[];
+  filters: TopPagesFilter[];
+}
+
+export interface IndexStats {
+  lastUpdate: Date | null;
+  nextUpdate: Date | null;
+  locked?: boolean;
+  indexId?: string;
+  [key: string]: unknown;
+}
+
+export interface Metadata extends MozEndpoint, RequestBuilder<string, {}> {
+  fetch(command: string, options?: FetchOptions): QueuedPromise<MozResponse<unknown>>;
+  lastUpdate(options?: FetchOptions): Promise<Date | null>;
+  nextUpdate(options?: FetchOptions): Promise<Date | null>;
+  indexStats(options?: FetchOptions): Promise<IndexStats>;
+}
+
+export declare namespace V2 {
+  type Body = Record<string, unknown>;
+
+  interface Endpoint extends MozEndpoint, RequestBuilder<string, Body> {
+    scopes: V2Scope[];
+    fetch(target: string, params?: Body, options?: FetchOptions): QueuedPromise<MozResponse<any>>;
+  }
+
+  interface UrlMetrics extends MozEndpoint, RequestBuilder<string | string[], Body> {
+    fetch(target: string | string[], params?: Body, options?: FetchOptions): QueuedPromise<MozResponse<any>>;
+  }
+
+  interface TargetlessEndpoint extends MozEndpoint {
+    buildRequest(params?: Body): BuiltRequest;
+    buildRedactedRequest(params?: Body): BuiltRequest;
+    fetch(params?: Body, options?: FetchOptions): QueuedPromise<MozResponse<any>>;
+  }
+}
+
+type ForVersion<V extends ApiVersion, One, Two> = V extends 2 ? Two : One;
+
+export interface Scheduler {
+  requests: number;
+  interval: number;
+  concurrency: number;
+  readonly size: number;
+  readonly running: number;
+
+  configure(options?: 'free' | RateLimit): void;
+  schedule<T>(task: () => T | Promise<T>): QueuedPromise<T>;
+}
+
+export interface ClockOptions {
+  /** Seconds added to the local time when signing. */
+  offset?: number;
+  /** Follow the response `Date` headers. Defaults to true unless `offset` is given. */
+  detect?: boolean;
+  /** Skew in seconds past which `warn` is called, 60 by default. */
+  threshold?: number;
+  warn?: (message: string) => void;
+}
+
+export declare class Clock {
+  static DEFAULTS: { offset: number; threshold: number };
+
+  constructor(options?: ClockOptions);
+
+  offset: number;
+  threshold: number;
+  detect: boolean;
+
+  now(): number;
+  seconds(): number;
+  setOffset(offset: number): void;
+  observe(headers: Record<string, string> | undefined): number | null;
+}
+
+export interface Signature {
+  /** `expires` defaults to a fresh expiry. */
+  sign(credentials?: Credentials, expires?: number): Promise<string>;
+  setExpires(expires: number): void;
+  /** The last expiry signed, by any request. */
+  getExpires(): number;
+  expires(threshold: number): number;
+  generate(credentials?: Credentials, expires?: number): string;
+}
+
+export declare class Cache {
+  static DEFAULT_TTL: number;
+  static DEFAULT_INDEX_CHECK: number;
+  static normalize(value: unknown): unknown;
+
+  constructor(options?: CacheOptions);
+
+  store: CacheStore;
+  ttl: number;
+  checkIndex: number;
+  /** When the current index was published, in local epoch milliseconds. */
+  lastUpdate: number | null;
+  indexCheckedAt: number;
+
+  setLastUpdate(lastUpdate: Date | number): void;
+  indexCheckDue(): boolean;
+
+  key(endpoint: string, target: unknown, params: unknown, accessId?: string): string;
+  get(key: string): Promise<(CachedResponse & { fromCache: true }) | undefined>;
+  set(key: string, response: CachedResponse, ttl?: number): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class MemoryStore implements CacheStore {
+  static DEFAULT_MAX: number;
+
+  constructor(options?: { max?: number });
+
+  max: number;
+  readonly size: number;
+
+  get(key: string): CacheEntry | undefined;
+  set(key: string, entry: CacheEntry): void;
+  delete(key: string): void;
+  clear(): void;
+}
+
+export declare class FileStore implements CacheStore {
+  constructor(options?: { dir?: string });
+
+  dir: string;
+
+  get(key: string): Promise<CacheEntry | undefined>;
+  set(key: string, entry: CacheEntry): Promise<void>;
+  delete(key: string): Promise<void>;
+  clear(): Promise<void>;
+}
+
+export declare class AxiosTransport implements Transport {
+  constructor(options?: { axios?: unknown });
+
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export declare class FetchTransport implements Transport {
+  constructor(options?: { fetch?: FetchFunction });
+
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export declare class FunctionTransport implements Transport {
+  constructor(send: TransportFunction);
+
+  request(config: TransportRequest): Promise<TransportResponse>;
+}
+
+export interface MockServerOptions {
+  accessId: string;
+  secretKey: string;
+  links?: number;
+  anchorText?: number;
+  topPages?: number;
+  index?: { lastUpdate?: number; nextUpdate?: number };
+  skew?: number;
+}
+
+export interface MockFailure {
+  endpoint?: string;
+  times?: number;
+  retryAfter?: number;
+  headers?: Record<string, string>;
+  body?: unknown;
+}
+
+export interface MockRequest {
+  method: string;
+  endpoint: string;
+  target: string;
+  params: Record<string, string>;
+  body?: string;
+}
+
+export declare class MockServer {
+  static fixtures: {
+    DEFAULT_COLS: string;
+    LINK_FLAGS: Record<string, number>;
+    URL_METRIC_KEYS: Record<UrlMetricsCol, string[]>;
+    urlMetricsRow(url: string, params: Record<string, string>): RawRow;
+    linkRows(target: string, params: Record<string, string>, count: number): RawRow[];
+    anchorTextRows(target: string, params: Record<string, string>, count: number): RawRow[];
+    topPagesRows(target: string, params: Record<string, string>, count: number): RawRow[];
+  };
+
+  constructor(options: MockServerOptions);
+
+  host?: string;
+  port: number | null;
+  index: { lastUpdate: number; nextUpdate: number };
+  requests: MockRequest[];
+
+  listen(port?: number, host?: string): Promise<this>;
+  close(): Promise<void>;
+  clientOptions(): { protocol: 'http'; host: string; port: number };
+  fail(status: number, options?: MockFailure): this;
+  reset(): void;
+}
+
+export interface Budget {
+  /** Rows that may be requested from all endpoints together. */
+  total?: number;
+  /** Rows that may be requested per endpoint, such as `links`. */
+  endpoints?: Record<string, number>;
+}
+
+export interface Usage {
+  requests: number;
+  rowsRequested: number;
+  rowsReceived: number;
+  remaining: number;
+}
+
+export interface UsageSummary extends Usage {
+  endpoints: Record<string, Usage>;
+}
+
+export declare class Quota {
+  constructor(budget?: number | Budget | null);
+
+  budget: { total: number; endpoints: Record<string, number> };
+
+  setBudget(budget?: number | Budget | null): void;
+  reset(): void;
+  remaining(endpoint?: string): number;
+  check(endpoint: string, rows: number): void;
+  reserve(endpoint: string, rows: number): void;
+  receive(endpoint: string, rows: number): void;
+  summary(): UsageSummary;
+}
+
+export interface ExportOptions {
+  /** Taken from the file extension (`.csv`, `.ndjson`, `.jsonl`) when omitted. */
+  format?: 'csv' | 'ndjson';
+  /** Flattened column paths such as `upa` or `source.page`, by default those of the first row. */
+  columns?: string[];
+  headers?: 'labels' | 'keys';
+  /** End a caller's stream when done. Files are always closed. */
+  end?: boolean;
+}
+
+export interface ExportResult {
+  format: 'csv' | 'ndjson';
+  rows: number;
+  columns: string[];
+}
+
+export interface WritableLike {
+  write(chunk: string): boolean;
+  end(callback?: () => void): unknown;
+  on?(event: string, listener: (...args: any[]) => void): unknown;
+  removeListener?(event: string, listener: (...args: any[]) => void): unknown;
+}
+
+export type ExportSource =
+  | MozResponse<unknown>
+  | object
+  | unknown[]
+  | Iterable<unknown>
+  | AsyncIterable<unknown>
+  | Promise<unknown>;
+
+export interface SnapshotLink {
+  source: string;
+  target: string;
+  nofollow: boolean;
+  redirect: 301 | 302 | null;
+  flags: number;
+  row: RawRow;
+}
+
+export interface SnapshotChange {
+  source: string;
+  target: string;
+  before: SnapshotLink;
+  after: SnapshotLink;
+  changes: Array<'follow' | 'redirect'>;
+}
+
+export interface SnapshotDiff {
+  added: SnapshotLink[];
+  lost: SnapshotLink[];
+  changed: SnapshotChange[];
+  unchanged: number;
+}
+
+export interface SnapshotJSON {
+  target: string;
+  takenAt: string;
+  params: LinksParams;
+  rows: RawRow[];
+}
+
+export declare class Snapshot {
+  static FLAGS: { nofollow: number; redirect301: number; redirect302: number };
+  static normalizeUrl(url: string): string;
+  static withCanonicalUrl<T>(cols: T): T | string[];
+  static withFlags<T>(cols: T): T | string[];
+  static fromJSON(json: string | SnapshotJSON): Snapshot;
+  /** Node only. */
+  static load(file: string): Promise<Snapshot>;
+  static diff(before: Snapshot, after: Snapshot): SnapshotDiff;
+
+  constructor(target: string, rows?: RawRow[], options?: { takenAt?: Date | string | number; params?: LinksParams });
+
+  target: string;
+  takenAt: Date;
+  params: LinksParams;
+  links: SnapshotLink[];
+
+  toJSON(): SnapshotJSON;
+  /** Node only. */
+  save(file: string): Promise<void>;
+}
+
+export interface FixturesOptions {
+  mode: 'record' | 'replay';
+  /** Defaults to `test/fixtures/moz`. */
+  dir?: string;
+}
+
+export declare class Recorder {
+  static MODES: string[];
+  static STRIPPED_HEADERS: string[];
+  static stripUrl(url: string): string;
+
+  constructor(options: FixturesOptions);
+
+  mode: 'record' | 'replay';
+  dir: string;
+  readonly replaying: boolean;
+
+  key(endpoint: string, target: unknown, params: object): string;
+  file(endpoint: string, target: unknown, params: object): string;
+  replay(endpoint: string, target: unknown, params: object): Promise<MozResponse<unknown> & { fromFixture: true }>;
+  record(endpoint: string, target: unknown, params: object, response: MozResponse<unknown>): Promise<string>;
+}
+
+export declare class MozError extends Error {
+  constructor(message: string);
+}
+
+export declare class MozValidationError extends MozError {
+  constructor(message: string, field?: string, value?: unknown);
+
+  field?: string;
+  value?: unknown;
+  /** Every problem found, when thrown by a schema check. */
+  errors?: MozValidationError[];
+}
+
+export declare class MozRequestError extends MozError {
+  constructor(message: string, response?: MozResponse<unknown>, cause?: Error);
+
+  response?: MozResponse<unknown>;
+  cause?: Error;
+}
+
+export declare class MozTransportError extends MozRequestError {
+  constructor(message: string, cause?: Error);
+}
+
+export declare class MozApiError extends MozRequestError {
+  constructor(message: string, response: MozResponse<unknown>, cause?: Error);
+
+  status: number;
+  body: unknown;
+}
+
+export declare class MozAuthError extends MozApiError {}
+
+export declare class MozRateLimitError extends MozApiError {
+  constructor(message: string, response: MozResponse<unknown>, cause?: Error, retryAfter?: number | null);
+
+  retryAfter: number | null;
+}
+
+export declare class MozBatchError extends MozError {
+  constructor(message: string, urls: string[], cause: Error);
+
+  urls: string[];
+  cause: Error;
+  response?: MozResponse<unknown>;
+}
+
+export declare class MozFixtureError extends MozError {
+  constructor(message: string, file: string);
+
+  file: string;
+}
+
+export declare class MozQuotaError extends MozError {
+  constructor(message: string, endpoint: string, requested: number, remaining: number);
+
+  endpoint: string;
+  requested: number;
+  remaining: number;
+}
+
+export declare class Moz<V extends ApiVersion = 1> {
+  static DEFAULT_EXPIRES: number;
+  static DEFAULT_PROTOCOL: string;
+  static DEFAULT_HOST: string;
+  static PROTOCOLS: string[];
+  static API_RESOURCES: Record<ApiVersion, string>;
+  static Moz: typeof Moz;
+  static Cache: typeof Cache;
+  static MemoryStore: typeof MemoryStore;
+  static FileStore: typeof FileStore;
+  static Recorder: typeof Recorder;
+  static Quota: typeof Quota;
+  static Clock: typeof Clock;
+  static CredentialPool: typeof CredentialPool;
+  static Snapshot: typeof Snapshot;
+  static schema: typeof schema;
+  static schemas(apiVersion?: ApiVersion): Record<string, ParamSchema>;
+  static parseRequestUrl(url: string): ParsedRequestUrl;
+  static AxiosTransport: typeof AxiosTransport;
+  static FetchTransport: typeof FetchTransport;
+  static FunctionTransport: typeof FunctionTransport;
+  static MozError: typeof MozError;
+  static MozValidationError: typeof MozValidationError;
+  static MozRequestError: typeof MozRequestError;
+  static MozTransportError: typeof MozTransportError;
+  static MozApiError: typeof MozApiError;
+  static MozAuthError: typeof MozAuthError;
+  static MozRateLimitError: typeof MozRateLimitError;
+  static MozBatchError: typeof MozBatchError;
+  static MozFixtureError: typeof MozFixtureError;
+  static MozQuotaError: typeof MozQuotaError;
+
+  constructor(options: MozOptions<V>);
+
+  bitFlags: {
+    'url-metrics': Record<UrlMetricsCol, number>;
+    'anchor-text': Record<AnchorTextCol, number>;
+    links: Record<LinksCol, number>;
+    deprecated: string[];
+  };
+  signature: Signature;
+  scheduler: Scheduler;
+  cache: Cache | null;
+  transport: Transport;
+  recorder: Recorder | null;
+  quota: Quota;
+  clock: Clock;
+  credentials: CredentialPool | null;
+
+  urlMetrics: ForVersion<V, UrlMetrics, V2.UrlMetrics>;
+  links: ForVersion<V, Links, V2.Endpoint>;
+  anchorText: ForVersion<V, AnchorText, V2.Endpoint>;
+  topPages: ForVersion<V, TopPages, V2.Endpoint>;
+  metadata: ForVersion<V, Metadata, undefined>;
+  linkingRootDomains: ForVersion<V, undefined, V2.Endpoint>;
+  linkIntersect: ForVersion<V, undefined, V2.TargetlessEndpoint>;
+  usageData: ForVersion<V, undefined, V2.TargetlessEndpoint>;
+  indexMetadata: ForVersion<V, undefined, V2.TargetlessEndpoint>;
+
+  setCredentials(credentials?: Credentials[] | null, rotation?: RotationStrategy | RotationOptions): void;
+  setAccessId(accessId: string): void;
+  setSecretKey(secretKey: string): void;
+  setExpires(expires?: number): void;
+  setServer(options?: ServerOptions): void;
+  setProxy(proxy?: string | ProxyConfig | false | null): void;
+  setCache(cache?: boolean | CacheOptions | Cache | null): void;
+  setClock(clock?: ClockOptions): void;
+  setWarn(warn?: ((message: string) => void) | false | null): void;
+  setBudget(budget?: number | Budget | null): void;
+  usage(): UsageSummary;
+  schemas(): Record<string, ParamSchema>;
+  parseRequestUrl(url: string): ParsedRequestUrl;
+  setFixtures(fixtures?: FixturesOptions | false | null): void;
+  setTransport(transport?: 'axios' | 'fetch' | Transport | TransportFunction): void;
+  setRetryPolicy(policy?: RetryPolicy | false): void;
+  setRateLimit(rateLimit?: 'free' | RateLimit): void;
+  encodeCols(cols: UrlMetricsCol[], type?: 'url-metrics'): string;
+  encodeCols(cols: AnchorTextCol[], type: 'anchor-text'): string;
+  encodeCols(cols: LinksCol[], type: 'links'): string;
+  decodeCols(value: string | number | bigint, type?: BitFlagType): string[];
+  exportRows(source: ExportSource, destination: string | WritableLike, options?: ExportOptions): Promise<ExportResult>;
+  decode(data: RawRow): DecodedRow;
+  decode(data: RawRow[]): DecodedRow[];
+  explain(key: keyof RawRow | string): string;
+}
+
+export default Moz;
@@ -10,6 +10,7 @@ module.exports = {
   },
   'links': {
     'Null': 0,
+    'Flags': 2,
     'Anchor Text': 4,
     'Normlized & Anchor Text': 8
   },
@@ -0,0 +1,137 @@
+'use strict';
+
+var utils = require('./utils');
+var MemoryStore = require('./stores/memory-store');
+
+Cache.DEFAULT_TTL = 60 * 60 * 1000;
+
+Cache.DEFAULT_INDEX_CHECK = 60 * 60 * 1000;
+
+Cache.SIGNATURE_FIELDS = ['accessid', 'expires', 'signature'];
+
+function normalize(value) {
+  var normalized;
+
+  if (utils.isArray(value)) {
+    return value.map(normalize);
+  }
+
+  if (value !== null && typeof value === 'object') {
+    normalized = {};
+
+    Object.keys(value).sort().forEach(function normalizeKey(key) {
+      if (value[key] === null || value[key] === undefined) return;
+      if (utils.containsValue(Cache.SIGNATURE_FIELDS, key.toLowerCase())) return;
+
+      normalized[key] = normalize(value[key]);
+    });
+
+    return normalized;
+  }
+
+  return value;
+}
+
+/**
+ * Response cache in front of the request layer. Stores only need
+ * `get(key)`, `set(key, entry)` and `delete(key)`; each may return a promise.
+ * Entries are plain JSON: `{ expires, storedAt, response }`.
+ *
+ * Entries stored before `lastUpdate`, the time Moz published its current
+ * index, are stale whatever their ttl. The client looks the last update
+ * up hourly, or every `checkIndex` milliseconds; false turns that off.
+ */
+function Cache(options = {}) {
+  this.store = options.store || new MemoryStore(options);
+  this.ttl = options.ttl == null ? Cache.DEFAULT_TTL : options.ttl;
+  this.checkIndex = options.checkIndex == null || options.checkIndex === true
+    ? Cache.DEFAULT_INDEX_CHECK
+    : options.checkIndex || 0;
+  this.lastUpdate = null;
+  this.indexCheckedAt = 0;
+}
+
+Cache.normalize = normalize;
+
+Cache.prototype = {
+  /**
+   * `accessId`, when given, keeps the responses of another account apart.
+   */
+  key(endpoint, target, params, accessId) {
+    var parts = [endpoint, normalize(target), normalize(params)];
+
+    if (accessId) parts.push(accessId);
+
+    return JSON.stringify(parts);
+  },
+
+  get(key) {
+    var that = this;
+
+    return Promise.resolve(this.store.get(key)).then(function checkEntry(entry) {
+      if (!entry) return undefined;
+
+      if (entry.expires <= Date.now() || that._beforeIndex(entry)) {
+        return Promise.resolve(that.store.delete(key)).then(function expired() {
+          return undefined;
+        });
+      }
+
+      return Object.assign(JSON.parse(JSON.stringify(entry.response)), { fromCache: true });
+    });
+  },
+
+  /**
+   * Records when the current index was published, as a Date or epoch
+   * milliseconds in local time. Entries stored earlier are dropped on read.
+   */
+  setLastUpdate(lastUpdate) {
+    var time = lastUpdate instanceof Date ? lastUpdate.getTime() : lastUpdate;
+
+    if (time == null || !Number.isFinite(time)) return;
+    if (this.lastUpdate == null || time > this.lastUpdate) this.lastUpdate = time;
+  },
+
+  /**
+   * True, once per `checkIndex` interval, when the last update should be
+   * looked up again.
+   */
+  indexCheckDue() {
+    var now = Date.now();
+
+    if (!this.checkIndex || this.indexCheckedAt + this.checkIndex > now) return false;
+
+    this.indexCheckedAt = now;
+    return true;
+  },
+
+  _beforeIndex(entry) {
+    return this.lastUpdate != null && entry.storedAt < this.lastUpdate;
+  },
+
+  set(key, response, ttl) {
+    var now = Date.now();
+    var entry = {
+      expires: now + (ttl == null ? this.ttl : ttl),
+      storedAt: now,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        data: response.data
+      }
+    };
+
+    return Promise.resolve(this.store.set(key, JSON.parse(JSON.stringify(entry))));
+  },
+
+  delete(key) {
+    return Promise.resolve(this.store.delete(key));
+  },
+
+  clear() {
+    return Promise.resolve(this.store.clear && this.store.clear());
+  }
+};
+
+module.exports = Cache;
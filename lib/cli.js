@@ -0,0 +1,306 @@
+'use strict';
+
+var utils = require('./utils');
+
+var COMMANDS = {
+  'url-metrics': 'urlMetrics',
+  links: 'links',
+  'anchor-text': 'anchorText',
+  'top-pages': 'topPages',
+  metadata: 'metadata'
+};
+
+var BOOLEAN_FLAGS = ['decode', 'help'];
+
+var REPEATABLE_FLAGS = {
+  col: 'cols',
+  'source-col': 'sourceCols',
+  'target-col': 'targetCols',
+  'link-col': 'linkCols',
+  filter: 'filter'
+};
+
+var PARAM_FLAGS = {
+  scope: 'scope',
+  sort: 'sort',
+  'source-domain': 'sourceDomain',
+  limit: 'limit',
+  offset: 'offset'
+};
+
+var FORMATS = ['json', 'ndjson', 'table'];
+
+var USAGE = [
+  'Usage: moz <command> [target...] [options]',
+  '',
+  'Commands:',
+  '  url-metrics, links, anchor-text, top-pages, metadata',
+  '',
+  'Targets are read from stdin, one per line, when none are given or target is "-".',
+  '',
+  'Options:',
+  '  --access-id <id>        Moz access id (default: $MOZ_ACCESS_ID)',
+  '  --secret-key <key>      Moz secret key (default: $MOZ_SECRET_KEY)',
+  '  --col <name>            Column from bit-flags.js, repeatable',
+  '  --source-col <name>     Source column, repeatable',
+  '  --target-col <name>     Target column, repeatable',
+  '  --link-col <name>       Link column, repeatable',
+  '  --scope <scope>         Request scope',
+  '  --sort <sort>           Sort order',
+  '  --filter <filter>       Filter, repeatable',
+  '  --source-domain <url>   Only links from this domain',
+  '  --limit <n>             Rows per request',
+  '  --offset <n>            Rows to skip',
+  '  --format <format>       json, ndjson or table (default: json)',
+  '  --decode                Readable property names instead of terse keys',
+  '  --help                  Show this message'
+].join('\n');
+
+function flagName(arg) {
+  return arg.replace(/^--/, '').split('=')[0];
+}
+
+/**
+ * Parses argv (without the node and script entries) into the command,
+ * targets, endpoint params and cli options.
+ */
+function parseArgs(argv) {
+  var parsed = {
+    command: null,
+    targets: [],
+    params: {},
+    options: { format: 'json' }
+  };
+  var i = 0;
+  var arg;
+  var name;
+  var value;
+
+  function nextValue() {
+    if (arg.indexOf('=') !== -1) {
+      return arg.substring(arg.indexOf('=') + 1);
+    }
+
+    i += 1;
+    if (i >= argv.length) {
+      throw Error('Missing value for --' + name);
+    }
+    return argv[i];
+  }
+
+  for (i = 0; i < argv.length; i++) {
+    arg = argv[i];
+
+    if (arg.indexOf('--') !== 0) {
+      if (parsed.command === null) {
+        parsed.command = arg;
+      } else {
+        parsed.targets.push(arg);
+      }
+    } else {
+      name = flagName(arg);
+
+      if (utils.containsValue(BOOLEAN_FLAGS, name)) {
+        parsed.options[name] = true;
+      } else if (utils.hasProperty(REPEATABLE_FLAGS, name)) {
+        value = nextValue();
+        name = REPEATABLE_FLAGS[name];
+        parsed.params[name] = (parsed.params[name] || []).concat(value);
+      } else if (utils.hasProperty(PARAM_FLAGS, name)) {
+        value = nextValue();
+        parsed.params[PARAM_FLAGS[name]] = name === 'limit' || name === 'offset' ? Number(value) : value;
+      } else if (name === 'access-id') {
+        parsed.options.accessId = nextValue();
+      } else if (name === 'secret-key') {
+        parsed.options.secretKey = nextValue();
+      } else if (name === 'format') {
+        parsed.options.format = nextValue();
+      } else {
+        throw Error('Unknown option: --' + name);
+      }
+    }
+  }
+
+  if (parsed.params.filter && parsed.params.filter.length === 1) {
+    parsed.params.filter = parsed.params.filter[0];
+  }
+
+  return parsed;
+}
+
+function rowsOf(data) {
+  if (utils.isArray(data)) return data;
+  if (data === undefined) return [];
+  return [data];
+}
+
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function formatTable(rows) {
+  var columns = [];
+  var widths;
+  var lines;
+
+  rows.forEach(function collectColumns(row) {
+    Object.keys(row !== null && typeof row === 'object' ? row : { value: row }).forEach(function add(key) {
+      if (!utils.containsValue(columns, key)) columns.push(key);
+    });
+  });
+
+  lines = rows.map(function toCells(row) {
+    var record = row !== null && typeof row === 'object' ? row : { value: row };
+
+    return columns.map(function cell(column) {
+      return cellValue(record[column]);
+    });
+  });
+
+  lines.unshift(columns);
+
+  widths = columns.map(function width(column, index) {
+    return Math.max.apply(null, lines.map(function cellWidth(line) {
+      return line[index].length;
+    }));
+  });
+
+  return lines.map(function pad(line) {
+    return line.map(function padCell(cell, index) {
+      return cell + ' '.repeat(widths[index] - cell.length);
+    }).join('  ').replace(/\s+$/, '');
+  }).join('\n');
+}
+
+function format(data, type) {
+  switch (type) {
+    case 'json':
+      return JSON.stringify(data, null, 2);
+
+    case 'ndjson':
+      return rowsOf(data).map(function line(row) {
+        return JSON.stringify(row);
+      }).join('\n');
+
+    case 'table':
+      return formatTable(rowsOf(data));
+
+    default:
+      throw Error('Unknown format: ' + type);
+  }
+}
+
+function readLines(stream) {
+  return new Promise(function read(resolve, reject) {
+    var input = '';
+
+    stream.setEncoding('utf8');
+    stream.on('data', function append(chunk) {
+      input += chunk;
+    });
+    stream.on('error', reject);
+    stream.on('end', function done() {
+      resolve(input.split(/\r?\n/).map(function trim(line) {
+        return line.trim();
+      }).filter(Boolean));
+    });
+  });
+}
+
+function fetchCommand(endpoint, command, targets, params, fetchOptions) {
+  if (command === 'metadata') {
+    return Promise.all(targets.map(function fetchMetadata(target) {
+      return endpoint.fetch(target, fetchOptions);
+    }));
+  }
+
+  if (command === 'url-metrics' && targets.length > 1) {
+    return endpoint.fetch(targets, params, fetchOptions).then(function single(response) {
+      return [response];
+    });
+  }
+
+  return utils.mapLimit(targets, 1, function fetchTarget(target) {
+    return endpoint.fetch(target, params, fetchOptions);
+  });
+}
+
+/**
+ * Runs the cli. `io` provides `env`, `stdin`, `stdout`, `stderr` and `Moz`.
+ * Resolves with the process exit code.
+ */
+function run(argv, io) {
+  var parsed;
+  var targets;
+  var moz;
+
+  try {
+    parsed = parseArgs(argv);
+
+    if (parsed.options.help || !parsed.command) {
+      io.stdout.write(USAGE + '\n');
+      return Promise.resolve(parsed.options.help ? 0 : 1);
+    }
+
+    if (!utils.hasProperty(COMMANDS, parsed.command)) {
+      throw Error('Unknown command: ' + parsed.command);
+    }
+
+    if (!utils.containsValue(FORMATS, parsed.options.format)) {
+      throw Error('Unknown format: ' + parsed.options.format);
+    }
+
+    moz = new io.Moz({
+      accessId: parsed.options.accessId || io.env.MOZ_ACCESS_ID,
+      secretKey: parsed.options.secretKey || io.env.MOZ_SECRET_KEY
+    });
+  } catch (error) {
+    io.stderr.write(error.message + '\n');
+    return Promise.resolve(1);
+  }
+
+  targets = parsed.targets.filter(function notStdin(target) {
+    return target !== '-';
+  });
+
+  return (targets.length ? Promise.resolve(targets) : readLines(io.stdin))
+    .then(function fetchTargets(list) {
+      if (!list.length) throw Error('No target given');
+
+      return fetchCommand(
+        moz[COMMANDS[parsed.command]],
+        parsed.command,
+        list,
+        parsed.params,
+        { decode: Boolean(parsed.options.decode) }
+      );
+    })
+    .then(function write(responses) {
+      var data = responses.length === 1 ? responses[0].data : [];
+
+      if (responses.length > 1) {
+        responses.forEach(function concat(response) {
+          data = data.concat(rowsOf(response.data));
+        });
+      }
+
+      io.stdout.write(format(data, parsed.options.format) + '\n');
+      return 0;
+    })
+    .catch(function fail(error) {
+      var body = error.response && error.response.data;
+
+      io.stderr.write(error.message + (body ? '\n' + JSON.stringify(body) : '') + '\n');
+      return 1;
+    });
+}
+
+module.exports = {
+  USAGE: USAGE,
+  parseArgs: parseArgs,
+  format: format,
+  run: run
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+Clock.DEFAULTS = {
+  offset: 0,
+  threshold: 60
+};
+
+function dateHeader(headers) {
+  var value;
+
+  if (!headers) return null;
+
+  value = headers.date || headers.Date;
+  if (typeof headers.get === 'function' && !value) value = headers.get('date');
+
+  return value ? Date.parse(value) : null;
+}
+
+/**
+ * The time requests are signed with: the local clock plus `offset`
+ * seconds. With `detect` on (the default unless an offset is given) the
+ * offset follows the `Date` header of every response, so a drifting local
+ * clock no longer expires signatures early or late. `warn` is called once
+ * each time the skew goes past `threshold` seconds.
+ */
+function Clock(options = {}) {
+  var config = Object.assign({}, Clock.DEFAULTS, options);
+
+  ['offset', 'threshold'].forEach(function validateOption(key) {
+    if (typeof config[key] !== 'number' || !Number.isFinite(config[key])) {
+      throw new errors.MozValidationError('Invalid clock option: ' + key, key, config[key]);
+    }
+  });
+
+  this.offset = config.offset;
+  this.threshold = Math.abs(config.threshold);
+  this.detect = config.detect == null ? options.offset == null : Boolean(config.detect);
+  this._warn = config.warn || utils.warn;
+  this._warned = false;
+}
+
+Clock.prototype = {
+  /**
+   * Milliseconds since the epoch, corrected by the offset.
+   */
+  now() {
+    return Date.now() + this.offset * 1000;
+  },
+
+  seconds() {
+    return Math.floor(this.now() / 1000);
+  },
+
+  setOffset(offset) {
+    if (typeof offset !== 'number' || !Number.isFinite(offset)) {
+      throw new errors.MozValidationError('Invalid clock option: offset', 'offset', offset);
+    }
+
+    this.offset = offset;
+    this._checkThreshold();
+  },
+
+  /**
+   * Reads the server time from response `headers`. Returns the measured
+   * skew in seconds, or null without a usable `Date` header. The header
+   * has second precision, so the skew is rounded to whole seconds.
+   */
+  observe(headers) {
+    var serverTime = dateHeader(headers);
+    var skew;
+
+    if (!serverTime || !Number.isFinite(serverTime)) return null;
+
+    skew = Math.round((serverTime - Date.now()) / 1000);
+
+    if (this.detect) {
+      this.offset = skew;
+      this._checkThreshold();
+    }
+
+    return skew;
+  },
+
+  _checkThreshold() {
+    if (Math.abs(this.offset) <= this.threshold) {
+      this._warned = false;
+      return;
+    }
+
+    if (this._warned) return;
+
+    this._warned = true;
+    this._warn(
+      'The local clock is ' + Math.abs(this.offset) + ' seconds '
+        + (this.offset > 0 ? 'behind' : 'ahead of') + ' the Moz api; signatures use the corrected time'
+    );
+  }
+};
+
+module.exports = Clock;
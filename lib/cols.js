@@ -0,0 +1,71 @@
+'use strict';
+
+/* global BigInt */
+/* eslint no-bitwise: "off" */
+
+var errors = require('./errors');
+
+/**
+ * Column values are sums of power-of-two bit flags. Several flags are above
+ * Number.MAX_SAFE_INTEGER, so composition happens on BigInt and values are
+ * serialized as exact decimal strings.
+ */
+module.exports = {
+  toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+
+    if (typeof value === 'number') {
+      if (!Number.isSafeInteger(value)) {
+        throw new errors.MozValidationError(
+          'Cols value ' + value + ' is not a safe integer, pass it as a string or BigInt', 'cols', value
+        );
+      }
+      return BigInt(value);
+    }
+
+    if (typeof value === 'string' && /^\d+$/.test(value)) {
+      return BigInt(value);
+    }
+
+    throw new errors.MozValidationError('Invalid datatype', 'cols', value);
+  },
+
+  encode(flags, cols) {
+    var value = BigInt(0);
+    var i;
+
+    for (i = 0; i < cols.length; i++) {
+      if (!Object.prototype.hasOwnProperty.call(flags, cols[i])) {
+        throw new errors.MozValidationError('Invalid Bit Flag: ' + cols[i], 'cols', cols[i]);
+      }
+
+      value |= BigInt(flags[cols[i]]);
+    }
+
+    return value;
+  },
+
+  serialize(flags, cols) {
+    return this.encode(flags, cols).toString();
+  },
+
+  decode(flags, value) {
+    var remaining = this.toBigInt(value);
+    var names = [];
+
+    Object.keys(flags).forEach(function decodeFlag(name) {
+      var flag = BigInt(flags[name]);
+
+      if (flag !== BigInt(0) && (remaining & flag) === flag) {
+        names.push(name);
+        remaining &= ~flag;
+      }
+    });
+
+    if (remaining !== BigInt(0)) {
+      throw new errors.MozValidationError('Unknown bit flags: ' + remaining.toString(), 'cols', value);
+    }
+
+    return names;
+  }
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+CredentialPool.STRATEGIES = ['round-robin', 'least-used', 'failover'];
+
+CredentialPool.DEFAULT_COOLDOWN = 60000;
+
+/**
+ * Throws a MozValidationError unless `credentials` has an access id and a
+ * secret key.
+ */
+function validateCredentials(credentials, field) {
+  if (!credentials || !credentials.accessId || !credentials.secretKey) {
+    throw new errors.MozValidationError('Credentials need an accessId and a secretKey', field, credentials);
+  }
+
+  return credentials;
+}
+
+/**
+ * Hands out one of several `{ accessId, secretKey, name }` credentials per
+ * request. `round-robin` (the default) cycles through them, `least-used`
+ * picks the one sent the fewest requests and `failover` sticks to the first
+ * usable one. Whatever the strategy, a key that gets a 401 or 403 is
+ * dropped and one that gets a 429 rests for its Retry-After, or `cooldown`
+ * milliseconds, while the request moves on to the next key. The last
+ * usable key rests only for a Retry-After, otherwise the retry policy's
+ * backoff decides when it is tried again.
+ */
+function CredentialPool(credentials, options = {}) {
+  var config = typeof options === 'string' ? { strategy: options } : options;
+  var strategy = config.strategy || 'round-robin';
+
+  if (!utils.isArray(credentials) || !credentials.length) {
+    throw new errors.MozValidationError('Credentials must be a non empty array', 'credentials', credentials);
+  }
+
+  if (!utils.containsValue(CredentialPool.STRATEGIES, strategy)) {
+    throw new errors.MozValidationError('Unknown rotation strategy: ' + strategy, 'strategy', strategy);
+  }
+
+  this.strategy = strategy;
+  this.cooldown = config.cooldown == null ? CredentialPool.DEFAULT_COOLDOWN : config.cooldown;
+  this.keys = credentials.map(function entry(credential, index) {
+    validateCredentials(credential, 'credentials');
+
+    return {
+      name: credential.name || credential.accessId,
+      accessId: credential.accessId,
+      secretKey: credential.secretKey,
+      uses: 0,
+      failures: 0,
+      disabled: false,
+      restUntil: 0,
+      index: index
+    };
+  });
+  this._next = 0;
+}
+
+CredentialPool.prototype = {
+  _available() {
+    var now = Date.now();
+
+    return this.keys.filter(function usable(key) {
+      return !key.disabled && key.restUntil <= now;
+    });
+  },
+
+  _pick(available) {
+    var that = this;
+    var key;
+
+    switch (this.strategy) {
+      case 'least-used':
+        return available.reduce(function leastUsed(best, candidate) {
+          return candidate.uses < best.uses ? candidate : best;
+        });
+
+      case 'failover':
+        return available[0];
+
+      default:
+        key = available.find(function after(candidate) {
+          return candidate.index >= that._next;
+        }) || available[0];
+        this._next = key.index + 1;
+        return key;
+    }
+  },
+
+  /**
+   * The credentials for the next request. Throws when every key has been
+   * dropped or is resting.
+   */
+  acquire() {
+    var available = this._available();
+    var key;
+
+    if (!available.length) {
+      throw new errors.MozError('No usable credentials left in the pool');
+    }
+
+    key = this._pick(available);
+    key.uses += 1;
+
+    return key;
+  },
+
+  /**
+   * Records a failed request made with `credentials` from this pool.
+   * Returns true when the key was taken out of rotation and another one can
+   * take over the request. A 401 for an `expired` signature says nothing
+   * about the key and is left to the retry policy.
+   */
+  fail(credentials, error, expired) {
+    var status = error && error.response && error.response.status;
+    var key = this.keys[credentials.index];
+    var others;
+    var retryAfter;
+
+    if (key !== credentials) return false;
+    if (status !== 401 && status !== 403 && status !== 429) return false;
+    if (status === 401 && expired) return false;
+
+    key.failures += 1;
+    others = this._available().filter(function other(candidate) {
+      return candidate !== key;
+    });
+
+    if (status === 429) {
+      retryAfter = errors.parseRetryAfter(error.response.headers);
+      if (!retryAfter && !others.length) return false;
+
+      key.restUntil = Date.now() + (retryAfter ? retryAfter * 1000 : this.cooldown);
+    } else {
+      key.disabled = true;
+    }
+
+    return others.length > 0;
+  },
+
+  /**
+   * Puts dropped and resting keys back into rotation.
+   */
+  reset() {
+    var i;
+
+    for (i = 0; i < this.keys.length; i++) {
+      this.keys[i].disabled = false;
+      this.keys[i].restUntil = 0;
+    }
+  },
+
+  summary() {
+    var now = Date.now();
+
+    return this.keys.map(function describe(key) {
+      return {
+        name: key.name,
+        accessId: key.accessId,
+        uses: key.uses,
+        failures: key.failures,
+        available: !key.disabled && key.restUntil <= now
+      };
+    });
+  }
+};
+
+CredentialPool.validateCredentials = validateCredentials;
+
+module.exports = CredentialPool;
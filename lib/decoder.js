@@ -0,0 +1,94 @@
+'use strict';
+
+var utils = require('./utils');
+var definitions = require('./definitions');
+var fields = require('./fields');
+
+/**
+ * Every documented key from definitions.js, described with the readable
+ * label, property name and value type it decodes to.
+ */
+var schema = {};
+
+function propertyName(label) {
+  return label.split(' ').map(function camelWord(word, index) {
+    var normalized = word === word.toUpperCase() ? word.toLowerCase() : word;
+
+    if (index === 0) {
+      return normalized.charAt(0).toLowerCase() + normalized.substring(1);
+    }
+    return normalized.charAt(0).toUpperCase() + normalized.substring(1);
+  }).join('');
+}
+
+Object.keys(definitions).forEach(function describeKey(key) {
+  if (!utils.hasProperty(fields, key)) return;
+
+  schema[key] = {
+    key: key,
+    label: fields[key][0],
+    property: propertyName(fields[key][0]),
+    type: fields[key][1],
+    description: definitions[key]
+  };
+});
+
+function coerce(value, type) {
+  var number;
+
+  if (value === null || value === undefined) return value;
+
+  switch (type) {
+    case 'number':
+      number = Number(value);
+      return value !== '' && Number.isFinite(number) ? number : value;
+
+    case 'date':
+      number = Number(value);
+      if (value === '' || !Number.isFinite(number) || number <= 0) return null;
+      return new Date(number * 1000);
+
+    default:
+      return String(value);
+  }
+}
+
+function decodeRow(row) {
+  var decoded = {};
+
+  if (row === null || typeof row !== 'object') return row;
+
+  Object.keys(row).forEach(function decodeField(key) {
+    if (utils.hasProperty(schema, key)) {
+      decoded[schema[key].property] = coerce(row[key], schema[key].type);
+    } else {
+      decoded[key] = row[key];
+    }
+  });
+
+  return decoded;
+}
+
+module.exports = {
+  schema: schema,
+
+  propertyName: propertyName,
+
+  coerce: coerce,
+
+  decodeRow: decodeRow,
+
+  decode(data) {
+    if (utils.isArray(data)) {
+      return data.map(decodeRow);
+    }
+    return decodeRow(data);
+  },
+
+  decodeResponse(response) {
+    return Object.assign({}, response, {
+      data: this.decode(response.data),
+      raw: response.data
+    });
+  }
+};
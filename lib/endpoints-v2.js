@@ -0,0 +1,21 @@
+'use strict';
+
+var AnchorText = require('./endpoints/v2/anchor-text');
+var IndexMetadata = require('./endpoints/v2/index-metadata');
+var LinkIntersect = require('./endpoints/v2/link-intersect');
+var LinkingRootDomains = require('./endpoints/v2/linking-root-domains');
+var Links = require('./endpoints/v2/links');
+var TopPages = require('./endpoints/v2/top-pages');
+var UrlMetrics = require('./endpoints/v2/url-metrics');
+var UsageData = require('./endpoints/v2/usage-data');
+
+module.exports = {
+  AnchorText: AnchorText,
+  IndexMetadata: IndexMetadata,
+  LinkIntersect: LinkIntersect,
+  LinkingRootDomains: LinkingRootDomains,
+  Links: Links,
+  TopPages: TopPages,
+  UrlMetrics: UrlMetrics,
+  UsageData: UsageData
+};
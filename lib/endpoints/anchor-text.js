@@ -1,48 +1,49 @@
 'use strict';
 
 var MozEndpoint = require('../moz-endpoint');
+var schema = require('../schema');
+var QueryBuilder = require('../query-builder');
+
+var SCHEMA = {
+  target: { type: 'url', required: true },
+  params: {
+    scope: {
+      type: 'string',
+      required: true,
+      enum: ['phrase_to_page', 'phrase_to_subdomain', 'phrase_to_domain',
+        'term_to_page', 'term_to_subdomain', 'term_to_domain']
+    },
+    filter: { type: 'string', enum: ['external'], multiple: true },
+    cols: { type: 'cols', flags: 'anchor-text' },
+    sourceCols: { type: 'cols', flags: 'url-metrics' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozEndpoint.MAX_LIMIT, default: 25
+    },
+    offset: {
+      type: 'number', integer: true, min: 0, max: MozEndpoint.MAX_OFFSET, default: 0
+    }
+  }
+};
 
 module.exports = MozEndpoint.extend({
   endpoint: 'anchor-text',
+  paginated: true,
 
-  bitFlagsMapping: {
-    cols: 'anchor-text',
-    sourceCols: 'url-metrics'
-  },
-
-  acceptedParams: {
-    scope: null,
-    filter: null,
-    cols: null,
-    sourceCols: null,
-    limit: 25,
-    offset: 0
-  },
-
-  scopes: ['phrase_to_page', 'phrase_to_subdomain', 'phrase_to_domain',
-    'term_to_page', 'term_to_subdomain', 'term_to_domain'],
+  schema: SCHEMA,
 
-  filters: ['external'],
+  bitFlagsMapping: schema.colFlags(SCHEMA),
+  acceptedParams: schema.defaults(SCHEMA),
 
-  validate(target, params) {
-    this._validateParams(params, this.acceptedParams);
-    this._validateCols(params, this.bitFlagsMapping);
+  scopes: schema.values(SCHEMA, 'scope'),
+  filters: schema.values(SCHEMA, 'filter'),
 
-    this._validatePresence(params.scope, 'scope');
-    this._validateString(params.scope);
-
-    this._validateFieldInArray(params.scope, this.scopes, 'scopes');
-
-    this._validateNumeric(params.limit);
-    this._validateNumeric(params.offset);
+  fetch(target, params = {}, options = {}) {
+    this.validate(target, params);
 
-    this._validatePresence(target, 'target');
-    this._validateUrl(target);
+    return this.get(target, params, options);
   },
 
-  fetch(target, params) {
-    this.validate(target, params);
-
-    return this.get(target, params);
+  for(target) {
+    return new QueryBuilder(this, target);
   }
 });
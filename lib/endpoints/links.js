@@ -2,87 +2,115 @@
 
 /* eslint quote-props: ["error", "as-needed", { "numbers": true }] */
 
-var utils = require('../utils');
 var MozEndpoint = require('../moz-endpoint');
+var schema = require('../schema');
+var QueryBuilder = require('../query-builder');
+var Snapshot = require('../snapshot');
+
+var SCHEMA = {
+  target: { type: 'url', required: true },
+  params: {
+    scope: {
+      type: 'string',
+      enum: ['page_to_page', 'page_to_subdomain', 'page_to_domain', 'subdomain_to_page',
+        'subdomain_to_subdomain', 'subdomain_to_domain', 'domain_to_page', 'domain_to_subdomain',
+        'domain_to_domain']
+    },
+    sort: {
+      type: 'string',
+      enum: ['page_authority', 'domain_authority', 'domains_linking_domain', 'domains_linking_page', 'spam_score'],
+      enumName: 'sorting'
+    },
+    filter: {
+      type: 'string',
+      enum: ['external', 'follow', 'nofollow', 'nonequity', 'equity', 'rel_canonical', '301', '302'],
+      multiple: true
+    },
+    sourceDomain: { type: 'url' },
+    sourceCols: { type: 'cols', flags: 'url-metrics' },
+    targetCols: { type: 'cols', flags: 'url-metrics' },
+    linkCols: { type: 'cols', flags: 'links' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozEndpoint.MAX_LIMIT, default: 25
+    },
+    offset: {
+      type: 'number', integer: true, min: 0, max: MozEndpoint.MAX_OFFSET, default: 0
+    }
+  },
+  rules: [
+    {
+      type: 'mapping',
+      field: 'scope',
+      dependent: 'sort',
+      mapping: {
+        page_to_page: ['page_authority', 'domain_authority', 'domains_linking_page'],
+        page_to_subdomain: ['page_authority', 'domain_authority', 'domains_linking_page'],
+        page_to_domain: ['page_authority', 'domain_authority', 'domains_linking_page'],
+        domain_to_page: ['domain_authority', 'domains_linking_domain'],
+        domain_to_subdomain: ['domain_authority', 'domains_linking_domain'],
+        domain_to_domain: ['domain_authority', 'domains_linking_domain']
+      }
+    },
+    {
+      type: 'mapping',
+      field: 'filter',
+      dependent: 'sort',
+      mapping: {
+        '302': ['page_authority', 'domain_authority']
+      }
+    }
+  ]
+};
 
 module.exports = MozEndpoint.extend({
   endpoint: 'links',
+  paginated: true,
 
-  bitFlagsMapping: {
-    sourceCols: 'url-metrics',
-    targetCols: 'url-metrics',
-    linkCols: 'links'
-  },
+  schema: SCHEMA,
 
-  acceptedParams: {
-    scope: null,
-    sort: null,
-    filter: null,
-    sourceDomain: null,
-    sourceCols: null,
-    targetCols: null,
-    linkCols: null,
-    limit: 25,
-    offset: 0
-  },
-
-  scopes: ['page_to_page', 'page_to_subdomain', 'page_to_domain', 'subdomain_to_page',
-    'subdomain_to_subdomain', 'subdomain_to_domain', 'domain_to_page', 'domain_to_subdomain',
-    'domain_to_domain'],
+  bitFlagsMapping: schema.colFlags(SCHEMA),
+  acceptedParams: schema.defaults(SCHEMA),
 
-  filters: ['external', 'follow', 'nofollow', 'nonequity', 'equity', 'rel_canonical', '301', '302'],
+  scopes: schema.values(SCHEMA, 'scope'),
+  filters: schema.values(SCHEMA, 'filter'),
+  sorting: schema.values(SCHEMA, 'sort'),
 
-  sorting: ['page_authority', 'domain_authority', 'domains_linking_domain', 'domains_linking_page', 'spam_score'],
+  scopeToSortMapping: schema.mapping(SCHEMA, 'scope', 'sort'),
+  filterToSortMapping: schema.mapping(SCHEMA, 'filter', 'sort'),
 
-  scopeToSortMapping: {
-    page_to_page: ['page_authority', 'domain_authority', 'domains_linking_page'],
-    page_to_subdomain: ['page_authority', 'domain_authority', 'domains_linking_page'],
-    page_to_domain: ['page_authority', 'domain_authority', 'domains_linking_page'],
-    domain_to_page: ['domain_authority', 'domains_linking_domain'],
-    domain_to_subdomain: ['domain_authority', 'domains_linking_domain'],
-    domain_to_domain: ['domain_authority', 'domains_linking_domain']
-  },
+  fetch(target, params = {}, options = {}) {
+    this.validate(target, params);
 
-  filterToSortMapping: {
-    '302': ['page_authority', 'domain_authority']
+    return this.get(target, params, options);
   },
 
-  validate(target, params) {
-    var i;
-
-    this._validateParams(params, this.acceptedParams);
-    this._validateCols(params, this.bitFlagsMapping);
-
-    this._validateString(params.scope);
-
-    this._validateFieldInArray(params.scope, this.scope, 'scopes');
-
-    if(utils.isArray(params.filter)) {
-      for(i = 0; i < params.filter.length; i++) {
-        this._validateFieldInArray(params.filter[i], this.filters, 'filters');
-      }
-    } else {
-      this._validateFieldInArray(params.filter, this.filters, 'filters');
+  /**
+   * Pulls every page of backlinks for `target` into a Snapshot, to compare
+   * with a later one through `Snapshot.diff()`. The canonical url is added
+   * to the source and target cols so links can be told apart by url, and
+   * the link flags to the link cols so follow and redirect changes show.
+   */
+  async snapshot(target, params = {}, options = {}) {
+    var pull = Object.assign({}, params, {
+      sourceCols: Snapshot.withCanonicalUrl(params.sourceCols),
+      targetCols: Snapshot.withCanonicalUrl(params.targetCols),
+      linkCols: Snapshot.withFlags(params.linkCols)
+    });
+    var fetchOptions = Object.assign({}, options, { decode: false });
+    var takenAt = new Date();
+    var rows = [];
+
+    this.validate(target, pull);
+
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const row of this.iterate(target, pull, fetchOptions)) {
+      rows.push(row);
     }
 
-    this._validateFieldInArray(params.sort, this.sorting, 'sorting');
-
-    this._validateMappings(this.scopeToSortMapping, params.scope, params.sort);
-    this._validateMappings(this.filterToSortMapping, params.filter, params.sort);
-
-    this._validateNumeric(params.limit);
-    this._validateNumeric(params.offset);
-
-    this._validatePresence(target, 'target');
-    this._validateUrl(target);
-
-    this._validateUrl(params.sourceDomain);
+    return new Snapshot(target, rows, { takenAt: takenAt, params: params });
   },
 
-  fetch(target, params) {
-    this.validate(target, params);
-
-    return this.get(target, params);
+  for(target) {
+    return new QueryBuilder(this, target);
   }
-
 });
@@ -2,10 +2,91 @@
 
 var MozEndpoint = require('../moz-endpoint');
 
+function camelCase(key) {
+  return key.replace(/_([a-z])/g, function upper(match, letter) {
+    return letter.toUpperCase();
+  });
+}
+
+function toDate(seconds) {
+  var value = Number(seconds);
+
+  return seconds == null || !Number.isFinite(value) ? null : new Date(value * 1000);
+}
+
+/**
+ * `last_update` and `next_update` epoch seconds become Dates and numeric
+ * strings become numbers; ids stay as they are.
+ */
+function parseStats(data) {
+  var stats = {};
+
+  Object.keys(data || {}).forEach(function parseKey(key) {
+    var value = data[key];
+
+    if (/_update$/.test(key)) {
+      value = toDate(value);
+    } else if (!/(^|_)id$/.test(key) && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value)) {
+      value = Number(value);
+    }
+
+    stats[camelCase(key)] = value;
+  });
+
+  return stats;
+}
+
 module.exports = MozEndpoint.extend({
   endpoint: 'metadata',
+  billable: false,
+
+  fetch(command, options = {}) {
+    return this.get(command, {}, options);
+  },
+
+  /**
+   * Fetches `command` past the cache and hands the last update it reports
+   * to the cache, so responses from an older index go stale.
+   */
+  _fetchIndex(command, options) {
+    var that = this;
+    var fetchOptions = Object.assign({}, options, { cache: false, decode: false });
+
+    return this.fetch(command, fetchOptions).then(function parse(response) {
+      var stats = parseStats(response.data);
+      var cache = that._moz.cache;
+
+      if (cache && stats.lastUpdate) {
+        cache.setLastUpdate(stats.lastUpdate.getTime() - that._moz.clock.offset * 1000);
+      }
+
+      return stats;
+    });
+  },
+
+  /**
+   * When the current index was published.
+   */
+  lastUpdate(options = {}) {
+    return this._fetchIndex('last_update', options).then(function pick(stats) {
+      return stats.lastUpdate;
+    });
+  },
+
+  /**
+   * When the next index is expected.
+   */
+  nextUpdate(options = {}) {
+    return this._fetchIndex('next_update', options).then(function pick(stats) {
+      return stats.nextUpdate;
+    });
+  },
 
-  fetch(command) {
-    return this.get(command);
+  /**
+   * The `index_stats` command with camel cased keys, Dates for
+   * `lastUpdate` and `nextUpdate` and numbers for counts.
+   */
+  indexStats(options = {}) {
+    return this._fetchIndex('index_stats', options);
   }
 });
@@ -1,44 +1,42 @@
 'use strict';
 
 var MozEndpoint = require('../moz-endpoint');
+var schema = require('../schema');
+
+var SCHEMA = {
+  target: { type: 'url', required: true },
+  params: {
+    filter: {
+      type: 'string',
+      enum: ['all', 'status200', 'status301', 'status302', 'status4xx', 'status5xx'],
+      multiple: true
+    },
+    sort: { type: 'string', enum: ['page_authority', 'domains_linking_page'], enumName: 'sorting' },
+    cols: { type: 'cols', flags: 'url-metrics' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozEndpoint.MAX_LIMIT, default: 25
+    },
+    offset: {
+      type: 'number', integer: true, min: 0, max: MozEndpoint.MAX_OFFSET, default: 0
+    }
+  }
+};
 
 module.exports = MozEndpoint.extend({
   endpoint: 'top-pages',
+  paginated: true,
 
-  bitFlagsMapping: {
-    cols: 'url-metrics'
-  },
-
-  acceptedParams: {
-    filter: null,
-    sort: null,
-    cols: null,
-    limit: 25,
-    offset: 0
-  },
-
-  sorting: ['page_authority', 'domains_linking_page'],
-  filters: ['all', 'status200', 'status301', 'status302', 'status4xx', 'status5xx'],
-
-  validate(target, params) {
-    this._validateParams(params, this.acceptedParams);
-    this._validateCols(params, this.bitFlagsMapping);
-
-    this._validateNumeric(params.limit);
-    this._validateNumeric(params.offset);
-
-    this._validateString(params.filter);
+  schema: SCHEMA,
 
-    this._validateFieldInArray(params.filter, this.filters, 'filters');
-    this._validateFieldInArray(params.sort, this.sorting, 'sorting');
+  bitFlagsMapping: schema.colFlags(SCHEMA),
+  acceptedParams: schema.defaults(SCHEMA),
 
-    this._validatePresence(target, 'target');
-    this._validateUrl(target);
-  },
+  sorting: schema.values(SCHEMA, 'sort'),
+  filters: schema.values(SCHEMA, 'filter'),
 
-  fetch(target, params) {
+  fetch(target, params = {}, options = {}) {
     this.validate(target, params);
 
-    return this.get(target, params);
+    return this.get(target, params, options);
   }
 });
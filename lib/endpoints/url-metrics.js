@@ -1,26 +1,36 @@
 'use strict';
 
 var utils = require('../utils');
+var errors = require('../errors');
 var MozEndpoint = require('../moz-endpoint');
+var schema = require('../schema');
+
+var SCHEMA = {
+  target: { type: 'urls', required: true },
+  params: {
+    cols: { type: 'cols', flags: 'url-metrics' },
+    sourceCols: { type: 'cols', flags: 'url-metrics' },
+    targetCols: { type: 'cols', flags: 'url-metrics' },
+    linkCols: { type: 'cols', flags: 'url-metrics' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozEndpoint.MAX_LIMIT, default: 25
+    },
+    offset: {
+      type: 'number', integer: true, min: 0, max: MozEndpoint.MAX_OFFSET, default: 0
+    }
+  }
+};
 
 module.exports = MozEndpoint.extend({
   endpoint: 'url-metrics',
 
-  bitFlagsMapping: {
-    cols: 'url-metrics',
-    sourceCols: 'url-metrics',
-    targetCols: 'url-metrics',
-    linkCols: 'url-metrics'
-  },
+  maxBatchSize: 10,
+  batchConcurrency: 2,
 
-  acceptedParams: {
-    cols: null,
-    sourceCols: null,
-    targetCols: null,
-    linkCols: null,
-    limit: 25,
-    offset: 0
-  },
+  schema: SCHEMA,
+
+  bitFlagsMapping: schema.colFlags(SCHEMA),
+  acceptedParams: schema.defaults(SCHEMA),
 
   _httpMethodByType(urls) {
     if (typeof urls === 'string') {
@@ -34,33 +44,102 @@ module.exports = MozEndpoint.extend({
     return '';
   },
 
-  validate(target, params) {
-    this._validateParams(params, this.acceptedParams);
-    this._validateCols(params, this.bitFlagsMapping);
+  _batchError(urls, cause) {
+    var message = 'Batch request failed for ' + urls.length + ' urls: ' + urls.join(', ');
+    return new errors.MozBatchError(message, urls, cause);
+  },
 
-    this._validateNumeric(params.limit);
-    this._validateNumeric(params.offset);
+  /**
+   * One response for the whole batch. Rows, and the raw rows of decoded
+   * responses, are concatenated in input order.
+   */
+  _mergeBatch(urls, responses) {
+    var data = [];
+    var raw = [];
+    var byUrl = {};
+    var merged;
 
-    this._validatePresence(target, 'target');
+    responses.forEach(function mergeResponse(response) {
+      data = data.concat(response.data);
+      raw = raw.concat(response.raw);
+    });
 
-    if (utils.isArray(target)) {
-      this._validateUrls(target);
-    } else {
-      this._validateUrl(target);
+    urls.forEach(function keyResult(url, index) {
+      byUrl[url] = data[index];
+    });
+
+    merged = Object.assign({}, responses[0], {
+      data: data,
+      byUrl: byUrl,
+      responses: responses,
+      fromCache: responses.length > 0 && responses.every(function cached(response) {
+        return response.fromCache;
+      })
+    });
+
+    if (merged.raw !== undefined) merged.raw = raw;
+
+    return merged;
+  },
+
+  /**
+   * Splits `urls` into API sized chunks, posts them with bounded
+   * concurrency and merges the rows back in input order.
+   */
+  fetchBatch(urls, params = {}, options = {}) {
+    var that = this;
+    var size = Math.min(options.batchSize || this.maxBatchSize, this.maxBatchSize);
+    var concurrency = options.concurrency || this.batchConcurrency;
+    var postOptions = Object.assign({}, options);
+
+    this._validateNumeric(options.batchSize, 'batchSize');
+    this._validateNumeric(options.concurrency, 'concurrency');
+
+    delete postOptions.batchSize;
+    delete postOptions.concurrency;
+
+    try {
+      this._moz.quota.check(this.endpoint, urls.length);
+    } catch (error) {
+      return Promise.reject(error);
     }
+
+    return utils.mapLimit(utils.chunk(urls, size), concurrency, function postChunk(chunk) {
+      return that.post(chunk, params, postOptions).catch(function chunkFailed(error) {
+        throw that._batchError(chunk, error);
+      });
+    }).then(function merge(responses) {
+      return that._mergeBatch(urls, responses);
+    });
+  },
+
+  /**
+   * Url lists are built as the one POST they are sent as, so lists longer
+   * than `maxBatchSize`, which `fetch()` splits, are rejected.
+   */
+  buildRequest(target, params = {}) {
+    if (utils.isArray(target) && target.length > this.maxBatchSize) {
+      throw new errors.MozValidationError(
+        'Only ' + this.maxBatchSize + ' urls fit in one request, build each batch of them separately',
+        'target',
+        target
+      );
+    }
+
+    return MozEndpoint.prototype.buildRequest.call(this, target, params);
   },
 
-  fetch(target, params) {
+  fetch(target, params = {}, options = {}) {
     this.validate(target, params);
 
     const httpMethod = this._httpMethodByType(target);
 
     if (httpMethod === 'GET') {
-      return this.get(target, params);
+      return this.get(target, params, options);
     } else if (httpMethod === 'POST') {
-      return this.post(target, params);
+      return this.fetchBatch(target, params, options);
     } else {
-      throw Error('Invalid option');
+      throw new errors.MozValidationError('Invalid datatype', 'target', target);
     }
   }
 });
@@ -0,0 +1,21 @@
+'use strict';
+
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+
+var SCHEMA = {
+  params: {}
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'index_metadata',
+  targetField: null,
+  billable: false,
+
+  schema: SCHEMA,
+
+  fetch(params = {}, options = {}) {
+    this.validate(undefined, params);
+
+    return this.post(undefined, params, options);
+  }
+});
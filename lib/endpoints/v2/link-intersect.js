@@ -0,0 +1,36 @@
+'use strict';
+
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+var schema = require('../../schema');
+
+var SCHEMA = {
+  params: {
+    is_linking_to: {
+      type: 'targets', enum: ['page', 'subdomain', 'root_domain'], enumName: 'scopes', required: true
+    },
+    not_linking_to: { type: 'targets', enum: ['page', 'subdomain', 'root_domain'], enumName: 'scopes' },
+    scope: { type: 'string', enum: ['page', 'subdomain', 'root_domain'] },
+    sort: { type: 'string' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozV2Endpoint.MAX_LIMIT, default: 25
+    },
+    next_token: { type: 'string' }
+  }
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'link_intersect',
+  targetField: null,
+
+  schema: SCHEMA,
+
+  acceptedParams: schema.defaults(SCHEMA),
+
+  scopes: schema.values(SCHEMA, 'scope'),
+
+  fetch(params = {}, options = {}) {
+    this.validate(undefined, params);
+
+    return this.post(undefined, params, options);
+  }
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+var schema = require('../../schema');
+
+var SCHEMA = {
+  target: { type: 'url', required: true },
+  params: {
+    target_scope: { type: 'string', enum: ['page', 'subdomain', 'root_domain'], enumName: 'scopes' },
+    filter: { type: 'string' },
+    sort: { type: 'string' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozV2Endpoint.MAX_LIMIT, default: 25
+    },
+    next_token: { type: 'string' }
+  }
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'linking_root_domains',
+
+  schema: SCHEMA,
+
+  acceptedParams: schema.defaults(SCHEMA),
+
+  scopes: schema.values(SCHEMA, 'target_scope')
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+var schema = require('../../schema');
+
+var SCHEMA = {
+  target: { type: 'url', required: true },
+  params: {
+    scope: { type: 'string', enum: ['page', 'subdomain', 'root_domain'] },
+    filter: { type: 'string' },
+    sort: { type: 'string' },
+    limit: {
+      type: 'number', integer: true, min: 1, max: MozV2Endpoint.MAX_LIMIT, default: 25
+    },
+    next_token: { type: 'string' }
+  }
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'top_pages',
+
+  schema: SCHEMA,
+
+  acceptedParams: schema.defaults(SCHEMA),
+
+  scopes: schema.values(SCHEMA, 'scope')
+});
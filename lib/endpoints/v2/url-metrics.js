@@ -0,0 +1,30 @@
+'use strict';
+
+var utils = require('../../utils');
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+var schema = require('../../schema');
+
+var SCHEMA = {
+  target: { type: 'urls', required: true },
+  params: {
+    distributions: { type: 'boolean' },
+    daily_history_values: { type: 'string', multiple: true },
+    daily_history_deltas: { type: 'string', multiple: true },
+    monthly_history_values: { type: 'string', multiple: true },
+    monthly_history_deltas: { type: 'string', multiple: true }
+  }
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'url_metrics',
+  targetField: 'targets',
+
+  schema: SCHEMA,
+
+  acceptedParams: schema.defaults(SCHEMA),
+
+  _buildBody(target, params) {
+    var targets = utils.isArray(target) ? target : [target];
+    return Object.assign({}, params, { targets: targets });
+  }
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+var MozV2Endpoint = require('../../moz-v2-endpoint');
+var schema = require('../../schema');
+
+var SCHEMA = {
+  params: {
+    start: { type: 'string' },
+    end: { type: 'string' }
+  }
+};
+
+module.exports = MozV2Endpoint.extend({
+  endpoint: 'usage_data',
+  targetField: null,
+  billable: false,
+  cacheable: false,
+
+  schema: SCHEMA,
+
+  acceptedParams: schema.defaults(SCHEMA),
+
+  fetch(params = {}, options = {}) {
+    this.validate(undefined, params);
+
+    return this.post(undefined, params, options);
+  }
+});
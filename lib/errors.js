@@ -0,0 +1,184 @@
+'use strict';
+
+function inherit(Child, Parent, name) {
+  return Object.create(Parent.prototype, {
+    constructor: { value: Child, writable: true, configurable: true },
+    name: { value: name, writable: true, configurable: true }
+  });
+}
+
+/**
+ * Base class for every error thrown by this library.
+ */
+function MozError(message) {
+  this.message = message;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    this.stack = (new Error(message)).stack;
+  }
+}
+
+MozError.prototype = inherit(MozError, Error, 'MozError');
+
+/**
+ * A param, target or option failed validation. `field` names the input
+ * and `value` holds what was passed.
+ */
+function MozValidationError(message, field, value) {
+  MozError.call(this, message);
+  this.field = field;
+  this.value = value;
+}
+
+MozValidationError.prototype = inherit(MozValidationError, MozError, 'MozValidationError');
+
+/**
+ * Base for failures of a sent request. `response` is the transport response
+ * when there was one and `cause` the original error.
+ */
+function MozRequestError(message, response, cause) {
+  MozError.call(this, message);
+  this.response = response;
+  this.cause = cause;
+}
+
+MozRequestError.prototype = inherit(MozRequestError, MozError, 'MozRequestError');
+
+function MozTransportError(message, cause) {
+  MozRequestError.call(this, message, undefined, cause);
+}
+
+MozTransportError.prototype = inherit(MozTransportError, MozRequestError, 'MozTransportError');
+
+function MozApiError(message, response, cause) {
+  MozRequestError.call(this, message, response, cause);
+  this.status = response.status;
+  this.body = response.data;
+}
+
+MozApiError.prototype = inherit(MozApiError, MozRequestError, 'MozApiError');
+
+function MozAuthError(message, response, cause) {
+  MozApiError.call(this, message, response, cause);
+}
+
+MozAuthError.prototype = inherit(MozAuthError, MozApiError, 'MozAuthError');
+
+/**
+ * `retryAfter` is the number of seconds the api asked to wait, or null.
+ */
+function MozRateLimitError(message, response, cause, retryAfter) {
+  MozApiError.call(this, message, response, cause);
+  this.retryAfter = retryAfter;
+}
+
+MozRateLimitError.prototype = inherit(MozRateLimitError, MozApiError, 'MozRateLimitError');
+
+/**
+ * A chunk of a batch request failed. `urls` are the urls of that chunk.
+ */
+function MozBatchError(message, urls, cause) {
+  MozError.call(this, message);
+  this.urls = urls;
+  this.cause = cause;
+  this.response = cause && cause.response;
+}
+
+MozBatchError.prototype = inherit(MozBatchError, MozError, 'MozBatchError');
+
+/**
+ * Replay mode found no recorded fixture. `file` is where it was expected.
+ */
+function MozFixtureError(message, file) {
+  MozError.call(this, message);
+  this.file = file;
+}
+
+MozFixtureError.prototype = inherit(MozFixtureError, MozError, 'MozFixtureError');
+
+/**
+ * A request was refused before it was sent because it would exceed the
+ * budget. `requested` and `remaining` are row counts.
+ */
+function MozQuotaError(message, endpoint, requested, remaining) {
+  MozError.call(this, message);
+  this.endpoint = endpoint;
+  this.requested = requested;
+  this.remaining = remaining;
+}
+
+MozQuotaError.prototype = inherit(MozQuotaError, MozError, 'MozQuotaError');
+
+function parseBody(data) {
+  if (typeof data !== 'string') return data;
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+}
+
+function parseRetryAfter(headers) {
+  var value = headers && headers['retry-after'];
+  var seconds;
+
+  if (!value) return null;
+
+  seconds = Number(value);
+  if (Number.isFinite(seconds)) return seconds;
+
+  seconds = Math.ceil((Date.parse(value) - Date.now()) / 1000);
+  return Number.isFinite(seconds) ? Math.max(0, seconds) : null;
+}
+
+/**
+ * Translates an HTTP client error into the matching MozRequestError.
+ * Errors that already are MozErrors are returned untouched.
+ */
+function fromHttpError(error) {
+  var response = error.response;
+  var status;
+  var message;
+
+  if (error instanceof MozError) return error;
+
+  if (!response) {
+    return new MozTransportError(error.message, error);
+  }
+
+  response = Object.assign({}, response, { data: parseBody(response.data) });
+  status = response.status;
+  message = 'Request failed with status code ' + status;
+
+  if (response.data && typeof response.data === 'object' && response.data.error_message) {
+    message += ': ' + response.data.error_message;
+  }
+
+  if (status === 401 || status === 403) {
+    return new MozAuthError(message, response, error);
+  }
+
+  if (status === 429) {
+    return new MozRateLimitError(message, response, error, parseRetryAfter(response.headers));
+  }
+
+  return new MozApiError(message, response, error);
+}
+
+module.exports = {
+  MozError: MozError,
+  MozValidationError: MozValidationError,
+  MozRequestError: MozRequestError,
+  MozTransportError: MozTransportError,
+  MozApiError: MozApiError,
+  MozAuthError: MozAuthError,
+  MozRateLimitError: MozRateLimitError,
+  MozBatchError: MozBatchError,
+  MozFixtureError: MozFixtureError,
+  MozQuotaError: MozQuotaError,
+  parseRetryAfter: parseRetryAfter,
+  fromHttpError: fromHttpError
+};
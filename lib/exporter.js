@@ -0,0 +1,248 @@
+'use strict';
+
+/* eslint global-require: "off" */
+
+var utils = require('./utils');
+var errors = require('./errors');
+var decoder = require('./decoder');
+
+var FORMATS = ['csv', 'ndjson'];
+
+var EXTENSIONS = {
+  csv: 'csv',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson'
+};
+
+/**
+ * Readable labels by raw response key and by decoded property name.
+ */
+var LABELS = {};
+
+Object.keys(decoder.schema).forEach(function addLabel(key) {
+  LABELS[key] = decoder.schema[key].label;
+  LABELS[decoder.schema[key].property] = decoder.schema[key].label;
+});
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !utils.isArray(value)
+    && !(value instanceof Date);
+}
+
+function humanize(name) {
+  return utils.toTitleCase(String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[_-]+/g, ' '));
+}
+
+/**
+ * Header for a flattened column path such as `source.page_authority`.
+ */
+function label(path) {
+  return path.split('.').map(function segmentLabel(segment) {
+    return LABELS[segment] || humanize(segment);
+  }).join(' ');
+}
+
+/**
+ * Nested objects, such as the `source` and `target` of v2 links, become
+ * dotted columns.
+ */
+function flatten(row, prefix = '', result = {}) {
+  Object.keys(row).forEach(function flattenKey(key) {
+    var path = prefix + key;
+
+    if (isPlainObject(row[key])) {
+      flatten(row[key], path + '.', result);
+    } else {
+      Object.assign(result, { [path]: row[key] });
+    }
+  });
+
+  return result;
+}
+
+function csvCell(value) {
+  var text;
+
+  if (value === null || value === undefined) return '';
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function csvLine(cells) {
+  return cells.map(csvCell).join(',') + '\r\n';
+}
+
+function isIterable(value) {
+  return value != null && typeof value !== 'string'
+    && (typeof value[Symbol.asyncIterator] === 'function' || typeof value[Symbol.iterator] === 'function');
+}
+
+/**
+ * Yields the rows of a response, a batch response, a v2 `{ results }`
+ * body, an array, a single row or an (async) iterator of any of these,
+ * such as `endpoint.iterate()`.
+ */
+async function* rowsOf(source) {
+  var value = await source;
+
+  if (value == null) return;
+
+  if (utils.isArray(value)) {
+    yield* value;
+  } else if (isIterable(value)) {
+    yield* iterateRows(value);
+  } else if (utils.hasProperty(value, 'data') && utils.hasProperty(value, 'status')) {
+    yield* rowsOf(value.data);
+  } else if (utils.isArray(value.results)) {
+    yield* value.results;
+  } else {
+    yield value;
+  }
+}
+
+async function* iterateRows(iterable) {
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const item of iterable) {
+    yield* rowsOf(item);
+  }
+}
+
+function openDestination(destination) {
+  var fs;
+
+  if (typeof destination === 'string') {
+    fs = require('fs');
+    return { stream: fs.createWriteStream(destination), owned: true };
+  }
+
+  if (!destination || typeof destination.write !== 'function') {
+    throw new errors.MozValidationError('Export destination must be a file path or a writable stream', 'destination', destination);
+  }
+
+  return { stream: destination, owned: false };
+}
+
+function formatOf(destination, format) {
+  var extension;
+
+  if (format) return format;
+
+  if (typeof destination === 'string') {
+    extension = destination.split('.').pop().toLowerCase();
+    return EXTENSIONS[extension];
+  }
+
+  return undefined;
+}
+
+/**
+ * Streams rows to `destination`, a file path or a writable stream, as CSV
+ * or NDJSON. Writes wait for the stream to drain, so iterating a large
+ * backlink profile never holds more than one page in memory.
+ *
+ * Options: `format` (`csv` or `ndjson`, taken from the file extension when
+ * omitted), `columns` (the flattened column paths to write, by default
+ * those of the first row), `headers` (`labels`, the default, or `keys`)
+ * and `end` (end a caller's stream when done; files are always closed).
+ * Resolves with `{ format, rows, columns }`.
+ */
+async function exportRows(source, destination, options = {}) {
+  var format = formatOf(destination, options.format);
+  var header = options.headers === 'keys' ? String : label;
+  var columns = options.columns ? options.columns.slice() : null;
+  var count = 0;
+  var failure = null;
+  var output;
+  var stream;
+
+  function write(chunk) {
+    if (failure) return Promise.reject(failure);
+
+    return new Promise(function writeChunk(resolve, reject) {
+      function drained(error) {
+        stream.removeListener('drain', drained);
+        stream.removeListener('error', drained);
+
+        if (error) reject(error);
+        else resolve();
+      }
+
+      if (stream.write(chunk)) {
+        resolve();
+      } else {
+        stream.on('drain', drained);
+        stream.on('error', drained);
+      }
+    });
+  }
+
+  function writeRow(row) {
+    var record = isPlainObject(row) ? row : { value: row };
+    var flat;
+    var chunk = '';
+
+    if (format === 'ndjson') return write(JSON.stringify(record) + '\n');
+
+    flat = flatten(record);
+
+    if (!columns) columns = Object.keys(flat);
+    if (count === 0) chunk += csvLine(columns.map(header));
+
+    return write(chunk + csvLine(columns.map(function cell(column) {
+      return flat[column];
+    })));
+  }
+
+  if (!utils.containsValue(FORMATS, format)) {
+    throw new errors.MozValidationError('Unknown export format: ' + format, 'format', format);
+  }
+
+  output = openDestination(destination);
+  stream = output.stream;
+
+  if (typeof stream.on === 'function') {
+    stream.on('error', function fail(error) {
+      failure = failure || error;
+    });
+  }
+
+  try {
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const row of rowsOf(source)) {
+      await writeRow(row); // eslint-disable-line no-await-in-loop
+      count += 1;
+    }
+
+    if (format === 'csv' && count === 0 && columns) {
+      await write(csvLine(columns.map(header)));
+    }
+  } finally {
+    if (output.owned || options.end) {
+      await new Promise(function close(resolve) {
+        stream.end(resolve);
+      });
+    }
+  }
+
+  if (failure) throw failure;
+
+  return { format: format, rows: count, columns: columns || [] };
+}
+
+module.exports = {
+  FORMATS: FORMATS,
+  label: label,
+  flatten: flatten,
+  rowsOf: rowsOf,
+  exportRows: exportRows
+};
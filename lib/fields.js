@@ -0,0 +1,107 @@
+'use strict';
+
+/**
+ * Readable labels and value types for the response keys documented in
+ * definitions.js. Types are `number`, `string` or `date` (Unix epoch seconds).
+ */
+module.exports = {
+  apu: ['Phrases To Page', 'string'],
+  apf: ['Phrases To Subdomain', 'string'],
+  app: ['Phrases To Root Domain', 'string'],
+  atu: ['Terms To Page', 'string'],
+  atf: ['Terms To Subdomain', 'string'],
+  atp: ['Terms To Root Domain', 'string'],
+  eu: ['External Pages Linking', 'number'],
+  ef: ['External Subdomains Linking', 'number'],
+  ep: ['External Root Domains Linking', 'number'],
+  emp: ['External MozRank Passed', 'number'],
+  fspsc: ['Subdomain Spam Score', 'number'],
+  ftrp: ['Subdomain MozTrust', 'number'],
+  ftrr: ['Subdomain MozTrust Raw', 'number'],
+  fuid: ['Links To Subdomain', 'number'],
+  lrid: ['Link ID', 'number'],
+  lsrc: ['Source ID', 'number'],
+  ltgt: ['Target ID', 'number'],
+  lufeid: ['Target Subdomain External Equity Links', 'number'],
+  lufejp: ['Target Subdomain External MozRank', 'number'],
+  lufejr: ['Target Subdomain External MozRank Raw', 'number'],
+  lufid: ['Target Root Domains Linking To Subdomain', 'number'],
+  lufipl: ['Target Paid Level Domains Linking To Subdomain', 'number'],
+  lufjp: ['Target Subdomain MozRank Sum', 'number'],
+  lufjr: ['Target Subdomain MozRank Sum Raw', 'number'],
+  lufmrp: ['Target Subdomain MozRank', 'number'],
+  lufmrr: ['Target Subdomain MozRank Raw', 'number'],
+  luftrp: ['Target Subdomain MozTrust', 'number'],
+  luftrr: ['Target Subdomain MozTrust Raw', 'number'],
+  lufuid: ['Target Links To Subdomain', 'number'],
+  lupda: ['Target Domain Authority', 'number'],
+  lupdar: ['Target Domain Authority Raw', 'number'],
+  lupeid: ['Target Root Domain External Equity Links', 'number'],
+  lupejp: ['Target Root Domain External MozRank', 'number'],
+  lupejr: ['Target Root Domain External MozRank Raw', 'number'],
+  lupid: ['Target Root Domains Linking To Root Domain', 'number'],
+  lupjp: ['Target Root Domain MozRank Sum', 'number'],
+  lupjr: ['Target Root Domain MozRank Sum Raw', 'number'],
+  lupmrp: ['Target Root Domain MozRank', 'number'],
+  lupmrr: ['Target Root Domain MozRank Raw', 'number'],
+  luptrp: ['Target Root Domain MozTrust', 'number'],
+  luptrr: ['Target Root Domain MozTrust Raw', 'number'],
+  lupuid: ['Target Links To Root Domain', 'number'],
+  luueid: ['Target External Equity Links', 'number'],
+  luuemrp: ['Target External MozRank', 'number'],
+  luuemrr: ['Target External MozRank Raw', 'number'],
+  luufq: ['Target Subdomain', 'string'],
+  luuid: ['Target Links', 'number'],
+  luuifq: ['Target Subdomains Linking', 'number'],
+  luuipl: ['Target Root Domains Linking', 'number'],
+  luujid: ['Target Equity Links', 'number'],
+  luumrp: ['Target MozRank', 'number'],
+  luumrr: ['Target MozRank Raw', 'number'],
+  luupa: ['Target Page Authority', 'number'],
+  luupar: ['Target Page Authority Raw', 'number'],
+  luupl: ['Target Root Domain', 'string'],
+  luurrid: ['Target Canonical URL ID', 'number'],
+  luus: ['Target HTTP Status Code', 'number'],
+  luut: ['Target Title', 'string'],
+  luutrp: ['Target MozTrust', 'number'],
+  luutrr: ['Target MozTrust Raw', 'number'],
+  luuu: ['Target URL', 'string'],
+  pda: ['Domain Authority', 'number'],
+  pdar: ['Domain Authority Raw', 'number'],
+  peid: ['Root Domain External Equity Links', 'number'],
+  pejp: ['Root Domain External MozRank', 'number'],
+  pejr: ['Root Domain External MozRank Raw', 'number'],
+  pid: ['Root Domains Linking To Root Domain', 'number'],
+  pjp: ['Root Domain MozRank Sum', 'number'],
+  pjr: ['Root Domain MozRank Sum Raw', 'number'],
+  pmrp: ['Root Domain MozRank', 'number'],
+  pmrr: ['Root Domain MozRank Raw', 'number'],
+  ptrp: ['Root Domain MozTrust', 'number'],
+  ptrr: ['Root Domain MozTrust Raw', 'number'],
+  puid: ['Links To Root Domain', 'number'],
+  t: ['Anchor Text', 'string'],
+  ued: ['External Links', 'number'],
+  ueid: ['External Equity Links', 'number'],
+  uemrp: ['External MozRank', 'number'],
+  uemrr: ['External MozRank Raw', 'number'],
+  ufq: ['Subdomain', 'string'],
+  uid: ['Links', 'number'],
+  uifq: ['Subdomains Linking', 'number'],
+  uipl: ['Root Domains Linking', 'number'],
+  ujid: ['Equity Links', 'number'],
+  umrp: ['MozRank', 'number'],
+  umrr: ['MozRank Raw', 'number'],
+  upa: ['Page Authority', 'number'],
+  upar: ['Page Authority Raw', 'number'],
+  upl: ['Root Domain', 'string'],
+  ur: ['Canonical URL', 'string'],
+  urid: ['URL ID', 'number'],
+  urrid: ['Canonical URL ID', 'number'],
+  us: ['HTTP Status Code', 'number'],
+  usch: ['Protocols', 'string'],
+  ut: ['Title', 'string'],
+  utrp: ['MozTrust', 'number'],
+  utrr: ['MozTrust Raw', 'number'],
+  uu: ['URL', 'string'],
+  ulc: ['Time Last Crawled', 'date']
+};
@@ -0,0 +1,473 @@
+'use strict';
+
+/* eslint no-bitwise: "off" */
+/* eslint quote-props: ["error", "consistent-as-needed"] */
+
+var utils = require('./utils');
+var columns = require('./cols');
+var bitFlags = require('./bit-flags');
+
+var CRAWL_EPOCH = 1561939200;
+
+/**
+ * Response keys for every url-metrics column. Columns with a normalized and
+ * a raw value fill both keys.
+ */
+var URL_METRIC_KEYS = {
+  'Title': ['ut'],
+  'Canonical URL': ['ur'],
+  'Subdomain': ['ufq'],
+  'Root Domain': ['upl'],
+  'External Equity Links': ['ueid'],
+  'Subdomain External Links': ['feid'],
+  'Root Domain External Links': ['peid'],
+  'Equity Links': ['ujid'],
+  'Subdomains Linking': ['uifq'],
+  'Root Domains Linking': ['uipl'],
+  'Links': ['uid'],
+  'Subdomain, Subdomains Linking': ['fid'],
+  'Root Domain, Root Domains Linking': ['pid'],
+  'MozRank: URL': ['umrp', 'umrr'],
+  'MozRank: Subdomain': ['fmrp', 'fmrr'],
+  'MozRank: Root Domain': ['pmrp', 'pmrr'],
+  'MozTrust': ['utrp', 'utrr'],
+  'MozTrust: Subdomain': ['ftrp', 'ftrr'],
+  'MozTrust: Root Domain': ['ptrp', 'ptrr'],
+  'MozRank: External Equity': ['uemrp', 'uemrr'],
+  'MozRank: Subdomain, External Equity': ['fejp', 'fejr'],
+  'MozRank: Root Domain, External Equity': ['pejp', 'pejr'],
+  'MozRank: Subdomain Combined': ['fjp', 'fjr'],
+  'MozRank: Root Domain Combined': ['pjp', 'pjr'],
+  'Subdomain Spam Score': ['fspsc'],
+  'HTTP Status Code': ['us'],
+  'Links to Subdomain': ['fuid'],
+  'Links to Root Domain': ['puid'],
+  'Root Domains Linking to Subdomain': ['fipl'],
+  'Page Authority': ['upa', 'upar'],
+  'Domain Authority': ['pda', 'pdar'],
+  'External links': ['ued'],
+  'External links to subdomain': ['fed'],
+  'External links to root domain': ['ped'],
+  'Linking C Blocks': ['pib'],
+  'Time last crawled': ['ulc']
+};
+
+var ANCHOR_TEXT_KEYS = {
+  'External Pages Linking': 'eu',
+  'External Subdomains Linking': 'ef',
+  'External Root Domains Linking': 'ep',
+  'External MozRank Passed': 'emp'
+};
+
+var PHRASE_KEYS = {
+  phrase_to_page: 'apu',
+  phrase_to_subdomain: 'apf',
+  phrase_to_domain: 'app',
+  term_to_page: 'atu',
+  term_to_subdomain: 'atf',
+  term_to_domain: 'atp'
+};
+
+/** Bits of the `lf` link flags field. */
+var LINK_FLAGS = {
+  nofollow: 1,
+  sameSubdomain: 2,
+  redirect301: 64,
+  redirect302: 128,
+  sameRootDomain: 2048,
+  relCanonical: 8192
+};
+
+/** Canonical URL, Page Authority and Domain Authority. */
+var DEFAULT_COLS = '103079215108';
+
+var STATUS_FILTERS = {
+  status200: function is200(status) { return status === 200; },
+  status301: function is301(status) { return status === 301; },
+  status302: function is302(status) { return status === 302; },
+  status4xx: function is4xx(status) { return status >= 400 && status < 500; },
+  status5xx: function is5xx(status) { return status >= 500; },
+  all: function any() { return true; }
+};
+
+var LINK_FILTERS = {
+  external: isExternal,
+  follow: isFollow,
+  nofollow: function nofollow(link) { return !isFollow(link); },
+  equity: function equity(link) { return isFollow(link) && isExternal(link); },
+  nonequity: function nonequity(link) { return !(isFollow(link) && isExternal(link)); },
+  rel_canonical: function relCanonical(link) { return Boolean(link.lf & LINK_FLAGS.relCanonical); },
+  301: function redirect301(link) { return Boolean(link.lf & LINK_FLAGS.redirect301); },
+  302: function redirect302(link) { return Boolean(link.lf & LINK_FLAGS.redirect302); }
+};
+
+var LINK_SORTS = {
+  page_authority: 'upa',
+  domain_authority: 'pda',
+  domains_linking_domain: 'pid',
+  domains_linking_page: 'uipl',
+  spam_score: 'fspsc'
+};
+
+var SCOPE_GROUPS = {
+  page: 'ur',
+  subdomain: 'ufq',
+  domain: 'upl'
+};
+
+function hash(string) {
+  var value = 2166136261;
+  var i;
+
+  for (i = 0; i < string.length; i++) {
+    value ^= string.charCodeAt(i);
+    value = Math.imul(value, 16777619);
+  }
+
+  return value >>> 0;
+}
+
+function random(seed, salt) {
+  return hash(seed + '#' + salt) / 4294967296;
+}
+
+function between(seed, salt, min, max) {
+  return min + Math.floor(random(seed, salt) * (max - min + 1));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function normalizeUrl(url) {
+  return String(url).replace(/^[a-z]+:\/\//i, '').replace(/\/+$/, '').toLowerCase();
+}
+
+function hostOf(url) {
+  return normalizeUrl(url).split('/')[0];
+}
+
+function rootDomainOf(url) {
+  return hostOf(url).split('.').slice(-2).join('.');
+}
+
+function statusOf(url) {
+  var roll = random(normalizeUrl(url), 'us');
+
+  if (roll < 0.8) return 200;
+  if (roll < 0.88) return 301;
+  if (roll < 0.92) return 302;
+  if (roll < 0.97) return 404;
+  return 500;
+}
+
+/**
+ * Every url-metrics value for `url`, derived from a hash of the url so the
+ * same url always has the same metrics.
+ */
+function urlMetrics(url) {
+  var seed = normalizeUrl(url);
+  var pageAuthority = between(seed, 'upa', 1, 100);
+  var domainAuthority = between(rootDomainOf(url), 'pda', 1, 100);
+  var values = {
+    ut: 'Title of ' + seed,
+    ur: seed,
+    ufq: hostOf(url),
+    upl: rootDomainOf(url),
+    ueid: between(seed, 'ueid', 0, 5000),
+    feid: between(hostOf(url), 'feid', 0, 50000),
+    peid: between(rootDomainOf(url), 'peid', 0, 500000),
+    ujid: between(seed, 'ujid', 0, 8000),
+    uifq: between(seed, 'uifq', 0, 900),
+    uipl: between(seed, 'uipl', 0, 700),
+    uid: between(seed, 'uid', 0, 10000),
+    fid: between(hostOf(url), 'fid', 0, 9000),
+    pid: between(rootDomainOf(url), 'pid', 0, 90000),
+    fspsc: between(hostOf(url), 'fspsc', 0, 17),
+    us: statusOf(url),
+    fuid: between(hostOf(url), 'fuid', 0, 80000),
+    puid: between(rootDomainOf(url), 'puid', 0, 800000),
+    fipl: between(hostOf(url), 'fipl', 0, 7000),
+    upa: pageAuthority,
+    upar: round(pageAuthority + random(seed, 'upar')),
+    pda: domainAuthority,
+    pdar: round(domainAuthority + random(rootDomainOf(url), 'pdar')),
+    ued: between(seed, 'ued', 0, 6000),
+    fed: between(hostOf(url), 'fed', 0, 60000),
+    ped: between(rootDomainOf(url), 'ped', 0, 600000),
+    pib: between(rootDomainOf(url), 'pib', 0, 3000),
+    ulc: CRAWL_EPOCH + between(seed, 'ulc', 0, 90 * 24 * 60 * 60)
+  };
+
+  Object.keys(URL_METRIC_KEYS).forEach(function addMozRank(col) {
+    var keys = URL_METRIC_KEYS[col];
+
+    if (keys.length === 2 && !utils.hasProperty(values, keys[0])) {
+      values[keys[1]] = round(random(seed, keys[1]) * 1e-8);
+      values[keys[0]] = round(random(seed, keys[0]) * 10);
+    }
+  });
+
+  return values;
+}
+
+function decodeCols(type, value) {
+  if (value === undefined || value === null || value === '') return [];
+  return columns.decode(bitFlags[type], value);
+}
+
+/**
+ * Picks the keys for the url-metrics `cols` (decoded column names) out of
+ * `metrics`, renaming them with `prefix`.
+ */
+function selectMetrics(metrics, cols, prefix = '') {
+  var row = {};
+
+  cols.forEach(function addCol(col) {
+    (URL_METRIC_KEYS[col] || []).forEach(function addKey(key) {
+      row[prefix + key] = metrics[key];
+    });
+  });
+
+  return row;
+}
+
+function linkFlags(target, index) {
+  var seed = normalizeUrl(target) + ':' + index;
+  var flags = 0;
+  var redirect = random(seed, 'redirect');
+
+  if (random(seed, 'nofollow') < 0.25) flags |= LINK_FLAGS.nofollow;
+  if (redirect < 0.1) flags |= LINK_FLAGS.redirect301;
+  else if (redirect < 0.15) flags |= LINK_FLAGS.redirect302;
+  if (random(seed, 'canonical') < 0.05) flags |= LINK_FLAGS.relCanonical;
+  if (random(seed, 'internal') < 0.1) flags |= LINK_FLAGS.sameRootDomain;
+
+  return flags;
+}
+
+/**
+ * The backlinks of `target`. Three links come from every source root
+ * domain, spread over two subdomains, so subdomain and domain scopes have
+ * something to collapse.
+ */
+function links(target, count) {
+  var root = rootDomainOf(target);
+  var targetId = hash(normalizeUrl(target));
+  var result = [];
+  var flags;
+  var source;
+  var i;
+
+  for (i = 0; i < count; i++) {
+    flags = linkFlags(target, i);
+    source = (flags & LINK_FLAGS.sameRootDomain ? root : 'site' + Math.floor(i / 3) + '.example');
+    source = (i % 3 === 2 ? 'blog.' : 'www.') + source + '/page' + i;
+
+    result.push({
+      lrid: hash(normalizeUrl(target) + ':link:' + i),
+      lsrc: hash(source),
+      ltgt: targetId,
+      lf: flags,
+      source: source,
+      anchor: 'anchor ' + (i % 7) + ' for ' + root
+    });
+  }
+
+  return result;
+}
+
+function isFollow(link) {
+  return !(link.lf & LINK_FLAGS.nofollow);
+}
+
+function isExternal(link) {
+  return !(link.lf & LINK_FLAGS.sameRootDomain);
+}
+
+function sortBy(rows, value) {
+  return rows.map(function withIndex(row, index) {
+    return { row: row, index: index, value: value(row) };
+  }).sort(function compare(a, b) {
+    return (b.value - a.value) || (a.index - b.index);
+  }).map(function unwrap(entry) {
+    return entry.row;
+  });
+}
+
+function page(rows, params) {
+  var offset = Number(params.Offset) || 0;
+  var limit = Math.min(Number(params.Limit) || 25, 50);
+
+  return rows.slice(offset, offset + limit);
+}
+
+function filtersOf(params, table) {
+  return String(params.Filter || '').split(/[+ ]/).filter(Boolean).map(function lookup(name) {
+    if (!utils.hasProperty(table, name)) {
+      throw Error('Unknown filter: ' + name);
+    }
+    return table[name];
+  });
+}
+
+module.exports = {
+  DEFAULT_COLS: DEFAULT_COLS,
+  LINK_FLAGS: LINK_FLAGS,
+  URL_METRIC_KEYS: URL_METRIC_KEYS,
+
+  hash: hash,
+  normalizeUrl: normalizeUrl,
+  urlMetrics: urlMetrics,
+  links: links,
+
+  /**
+   * A url-metrics row for `url` with the columns in `params.Cols`.
+   */
+  urlMetricsRow(url, params) {
+    var cols = params.Cols === undefined ? DEFAULT_COLS : params.Cols;
+    return selectMetrics(urlMetrics(url), decodeCols('url-metrics', cols));
+  },
+
+  /**
+   * Backlink rows honoring SourceDomain, Filter, Sort, Scope, Offset and
+   * Limit. Scope collapses the sources to one link per page, subdomain or
+   * root domain, keeping the first one in sort order.
+   */
+  linkRows(target, params, count) {
+    var sourceCols = decodeCols('url-metrics', params.SourceCols);
+    var targetCols = decodeCols('url-metrics', params.TargetCols);
+    var linkCols = decodeCols('links', params.LinkCols);
+    var filters = filtersOf(params, LINK_FILTERS);
+    var group = SCOPE_GROUPS[String(params.Scope || 'page_to_page').split('_to_')[0]] || 'ur';
+    var sort = LINK_SORTS[params.Sort];
+    var targetRow = selectMetrics(urlMetrics(target), targetCols, 'lu');
+    var seen = {};
+    var rows = links(target, count).map(function withMetrics(link) {
+      return Object.assign({ metrics: urlMetrics(link.source) }, link);
+    });
+
+    if (params.Sort && !sort) throw Error('Unknown sort: ' + params.Sort);
+
+    if (params.SourceDomain) {
+      const domain = hostOf(decodeURIComponent(params.SourceDomain));
+
+      rows = rows.filter(function fromDomain(link) {
+        return link.metrics.ufq === domain || link.metrics.upl === domain;
+      });
+    }
+
+    rows = rows.filter(function matchesFilters(link) {
+      return filters.every(function matches(filter) {
+        return filter(link);
+      });
+    });
+
+    if (sort) {
+      rows = sortBy(rows, function sortValue(link) {
+        return link.metrics[sort];
+      });
+    }
+
+    rows = rows.filter(function firstInGroup(link) {
+      var key = link.metrics[group];
+
+      if (seen[key]) return false;
+      seen[key] = true;
+      return true;
+    });
+
+    return page(rows, params).map(function toRow(link) {
+      var row = {
+        lrid: link.lrid,
+        lsrc: link.lsrc,
+        ltgt: link.ltgt
+      };
+
+      if (utils.containsValue(linkCols, 'Flags')) {
+        row.lf = link.lf;
+      }
+
+      if (utils.containsValue(linkCols, 'Anchor Text')) {
+        row.t = link.anchor;
+      }
+
+      return Object.assign(row, selectMetrics(link.metrics, sourceCols), targetRow);
+    });
+  },
+
+  /**
+   * Anchor text rows for `target`. The phrase lands under the key of the
+   * requested scope, such as `apu` for phrase_to_page.
+   */
+  anchorTextRows(target, params, count) {
+    var cols = decodeCols('anchor-text', params.Cols);
+    var scope = params.Scope || 'phrase_to_page';
+    var phraseKey = PHRASE_KEYS[scope];
+    var external = filtersOf(params, { external: true }).length > 0;
+    var seed = normalizeUrl(target);
+    var rows = [];
+    var i;
+
+    if (!phraseKey) throw Error('Unknown scope: ' + scope);
+
+    for (i = 0; i < count; i++) {
+      const internal = random(seed, 'internal' + i) < 0.2;
+      const metrics = {
+        eu: between(seed, 'eu' + i, 1, 500),
+        ef: between(seed, 'ef' + i, 1, 200),
+        ep: between(seed, 'ep' + i, 1, 100),
+        emp: round(random(seed, 'emp' + i) * 1e-7)
+      };
+      const row = {};
+
+      if (!(external && internal)) {
+        if (utils.containsValue(cols, 'Term or Phrase')) {
+          row[phraseKey] = scope.indexOf('term') === 0 ? 'term' + i : 'anchor ' + i + ' for ' + rootDomainOf(target);
+        }
+
+        cols.forEach(function addCol(col) {
+          if (utils.hasProperty(ANCHOR_TEXT_KEYS, col)) {
+            row[ANCHOR_TEXT_KEYS[col]] = metrics[ANCHOR_TEXT_KEYS[col]];
+          }
+        });
+
+        rows.push({ row: row, eu: metrics.eu });
+      }
+    }
+
+    return page(sortBy(rows, function byPages(entry) {
+      return entry.eu;
+    }), params).map(function unwrap(entry) {
+      return entry.row;
+    });
+  },
+
+  /**
+   * Pages of the target's root domain, filtered on HTTP status and sorted
+   * by page authority unless `domains_linking_page` is asked for.
+   */
+  topPagesRows(target, params, count) {
+    var cols = decodeCols('url-metrics', params.Cols === undefined ? DEFAULT_COLS : params.Cols);
+    var filter = STATUS_FILTERS[params.Filter || 'all'];
+    var sortKey = params.Sort === 'domains_linking_page' ? 'uipl' : 'upa';
+    var rows = [];
+    var i;
+
+    if (!filter) throw Error('Unknown filter: ' + params.Filter);
+
+    for (i = 0; i < count; i++) {
+      rows.push(urlMetrics(rootDomainOf(target) + '/page' + i));
+    }
+
+    rows = rows.filter(function byStatus(metrics) {
+      return filter(metrics.us);
+    });
+
+    return page(sortBy(rows, function sortValue(metrics) {
+      return metrics[sortKey];
+    }), params).map(function toRow(metrics) {
+      return selectMetrics(metrics, cols);
+    });
+  }
+};
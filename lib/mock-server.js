@@ -0,0 +1,317 @@
+'use strict';
+
+/* eslint global-require: "off" */
+
+var errors = require('./errors');
+var signers = require('./signers');
+var fixtures = require('./mock-fixtures');
+
+var ERROR_MESSAGES = {
+  401: 'Permission denied',
+  429: 'Too many requests',
+  500: 'Internal server error',
+  502: 'Bad gateway',
+  503: 'Service unavailable',
+  504: 'Gateway timeout'
+};
+
+function errorBody(status, message) {
+  return { status: String(status), error_message: message || ERROR_MESSAGES[status] || 'Error' };
+}
+
+function readBody(req) {
+  return new Promise(function read(resolve, reject) {
+    var body = '';
+
+    req.setEncoding('utf8');
+    req.on('data', function append(chunk) {
+      body += chunk;
+    });
+    req.on('error', reject);
+    req.on('end', function done() {
+      resolve(body);
+    });
+  });
+}
+
+/**
+ * In-process HTTP server emulating the linkscape endpoints, for integration
+ * tests that exercise real urls, signatures and paging. Requests must be
+ * signed with `accessId`/`secretKey`; responses come from deterministic
+ * fixtures. Node only.
+ *
+ * Options: `accessId`, `secretKey`, `links` (backlinks per target, 120),
+ * `anchorText` (phrases per target, 30), `topPages` (pages per domain, 60),
+ * `index` (`{ lastUpdate, nextUpdate }` epoch seconds for metadata) and
+ * `skew` (seconds the server clock runs ahead of the local one).
+ */
+function MockServer(options = {}) {
+  if (!options.accessId || !options.secretKey) {
+    throw new errors.MozValidationError('accessId and secretKey required', 'accessId');
+  }
+
+  this.accessId = options.accessId;
+  this.secretKey = options.secretKey;
+  this.counts = {
+    links: options.links || 120,
+    anchorText: options.anchorText || 30,
+    topPages: options.topPages || 60
+  };
+  this.index = Object.assign({ lastUpdate: 1561939200, nextUpdate: 1564617600 }, options.index);
+  this.skew = options.skew || 0;
+  this.requests = [];
+  this.port = null;
+
+  this._signer = new signers.NodeSigner();
+  this._failures = [];
+  this._server = null;
+  this._sockets = new Set();
+}
+
+MockServer.prototype = {
+  /**
+   * Resolves once the server accepts connections. `port` 0 (the default)
+   * picks a free port, available as `server.port` afterwards.
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    var http = require('http');
+    var that = this;
+
+    this._server = http.createServer(function handle(req, res) {
+      that._handle(req, res);
+    });
+
+    this._server.on('connection', function track(socket) {
+      that._sockets.add(socket);
+      socket.on('close', function untrack() {
+        that._sockets.delete(socket);
+      });
+    });
+
+    return new Promise(function start(resolve, reject) {
+      that._server.once('error', reject);
+      that._server.listen(port, host, function listening() {
+        that.host = host;
+        that.port = that._server.address().port;
+        resolve(that);
+      });
+    });
+  },
+
+  close() {
+    var server = this._server;
+
+    if (!server) return Promise.resolve();
+
+    this._server = null;
+    this._sockets.forEach(function destroy(socket) {
+      socket.destroy();
+    });
+
+    return new Promise(function stop(resolve) {
+      server.close(function closed() {
+        resolve();
+      });
+    });
+  },
+
+  /**
+   * Server options for the Moz constructor.
+   */
+  clientOptions() {
+    return { protocol: 'http', host: this.host, port: this.port };
+  },
+
+  /**
+   * Answers the next `times` requests (1 by default) to `endpoint`, or to
+   * any endpoint, with `status`. `retryAfter` sets the Retry-After header and
+   * `body` replaces the default error body. Returns the server for chaining.
+   */
+  fail(status, options = {}) {
+    var headers = Object.assign({}, options.headers);
+
+    if (options.retryAfter != null) {
+      headers['Retry-After'] = String(options.retryAfter);
+    }
+
+    this._failures.push({
+      status: status,
+      times: options.times || 1,
+      endpoint: options.endpoint,
+      headers: headers,
+      body: options.body || errorBody(status)
+    });
+
+    return this;
+  },
+
+  reset() {
+    this._failures = [];
+    this.requests = [];
+  },
+
+  _now() {
+    return Date.now() + this.skew * 1000;
+  },
+
+  _send(res, status, body, headers) {
+    res.writeHead(status, Object.assign({
+      'Content-Type': 'application/json',
+      Date: new Date(this._now()).toUTCString()
+    }, headers));
+    res.end(JSON.stringify(body));
+  },
+
+  _takeFailure(endpoint) {
+    var i;
+    var failure;
+
+    for (i = 0; i < this._failures.length; i++) {
+      failure = this._failures[i];
+
+      if (!failure.endpoint || failure.endpoint === endpoint) {
+        failure.times -= 1;
+        if (failure.times <= 0) this._failures.splice(i, 1);
+        return failure;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * Checks the AccessID/Expires/Signature triple the same way the api
+   * does. Returns an error message, or null when the request is signed.
+   */
+  _authError(params) {
+    var expires = Number(params.Expires);
+    var expected;
+
+    if (!params.AccessID || !params.Expires || !params.Signature) {
+      return 'Missing AccessID, Expires or Signature';
+    }
+
+    if (params.AccessID !== this.accessId) return 'Unknown AccessID';
+
+    if (!Number.isFinite(expires) || expires < Math.floor(this._now() / 1000)) {
+      return 'Signature expired';
+    }
+
+    expected = this._signer.sign(this.secretKey, this.accessId + '\n' + params.Expires);
+
+    return expected === params.Signature ? null : 'Invalid signature';
+  },
+
+  _route(method, endpoint, target, params, body) {
+    switch (endpoint) {
+      case 'url-metrics':
+        if (method === 'POST') {
+          return JSON.parse(body || '[]').map(function metrics(url) {
+            return fixtures.urlMetricsRow(url, params);
+          });
+        }
+        return fixtures.urlMetricsRow(target, params);
+
+      case 'links':
+        return fixtures.linkRows(target, params, this.counts.links);
+
+      case 'anchor-text':
+        return fixtures.anchorTextRows(target, params, this.counts.anchorText);
+
+      case 'top-pages':
+        return fixtures.topPagesRows(target, params, this.counts.topPages);
+
+      case 'metadata':
+        return this._metadata(target);
+
+      default:
+        return undefined;
+    }
+  },
+
+  _metadata(command) {
+    switch (command) {
+      case 'last_update':
+        return { last_update: this.index.lastUpdate };
+
+      case 'next_update':
+        return { next_update: this.index.nextUpdate };
+
+      case 'index_stats':
+        return {
+          last_update: this.index.lastUpdate,
+          next_update: this.index.nextUpdate,
+          locked: false,
+          index_id: String(fixtures.hash(String(this.index.lastUpdate)))
+        };
+
+      default:
+        return undefined;
+    }
+  },
+
+  _handle(req, res) {
+    var that = this;
+    var url = new URL(req.url, 'http://localhost');
+    var match = /\/linkscape\/([^/]+)\/?([^/]*)$/.exec(url.pathname);
+    var params = {};
+    var endpoint;
+    var target;
+
+    url.searchParams.forEach(function collect(value, key) {
+      params[key] = value;
+    });
+
+    if (!match) {
+      this._send(res, 404, errorBody(404, 'Not found'));
+      return;
+    }
+
+    endpoint = match[1];
+    target = decodeURIComponent(match[2]);
+
+    readBody(req).then(function respond(body) {
+      var failure = that._takeFailure(endpoint);
+      var authError;
+      var data;
+
+      that.requests.push({
+        method: req.method,
+        endpoint: endpoint,
+        target: target,
+        params: params,
+        body: body || undefined
+      });
+
+      if (failure) {
+        that._send(res, failure.status, failure.body, failure.headers);
+        return;
+      }
+
+      authError = that._authError(params);
+      if (authError) {
+        that._send(res, 401, errorBody(401, authError));
+        return;
+      }
+
+      try {
+        data = that._route(req.method, endpoint, target, params, body);
+      } catch (error) {
+        that._send(res, 400, errorBody(400, error.message));
+        return;
+      }
+
+      if (data === undefined) {
+        that._send(res, 404, errorBody(404, 'Unknown ' + endpoint + (target ? ' ' + target : '')));
+      } else {
+        that._send(res, 200, data);
+      }
+    }).catch(function fail(error) {
+      that._send(res, 500, errorBody(500, error.message));
+    });
+  }
+};
+
+MockServer.fixtures = fixtures;
+
+module.exports = MockServer;
@@ -1,20 +1,42 @@
 'use strict';
 
-var axios = require('axios');
 const utils = require('./utils');
+var errors = require('./errors');
+var columns = require('./cols');
+var decoder = require('./decoder');
+var retry = require('./retry');
+var CredentialPool = require('./credential-pool');
+var schema = require('./schema');
+var queryString = require('./query-string');
 
 MozEndpoint.extend = utils.protoExtend;
 
 MozEndpoint.MAX_LIMIT = 50;
 MozEndpoint.MAX_OFFSET = 100000;
 
+MozEndpoint.REDACTED = 'REDACTED';
+
+function redactRequest(request) {
+  var headers = Object.assign({}, request.headers);
+
+  if (headers.Authorization) headers.Authorization = MozEndpoint.REDACTED;
+
+  return Object.assign({}, request, {
+    url: request.url.replace(/([?&](?:AccessID|Signature)=)[^&]*/g, '$1' + MozEndpoint.REDACTED),
+    headers: headers
+  });
+}
+
 function MozEndpoint(moz) {
   this._moz = moz;
-  this._axios = axios;
 }
 
 MozEndpoint.prototype = {
   endpoint: '',
+  paginated: false,
+  billable: true,
+  cacheable: true,
+  schema: null,
   bitFlagsMapping: {},
   acceptedParams: {},
 
@@ -22,41 +44,41 @@ MozEndpoint.prototype = {
   filters: [],
   sorting: [],
 
-  _validateUrl(url) {
+  _validateUrl(url, field = 'target') {
     if (!url) return;
 
     if (!utils.isValidURL(url)) {
-      throw Error('Url: ' + url + ' is not a valid url');
+      throw new errors.MozValidationError('Url: ' + url + ' is not a valid url', field, url);
     }
 
     return true;
   },
 
-  _validateUrls(urls) {
+  _validateUrls(urls, field = 'target') {
     var i;
 
     if(!utils.isArray(urls)) {
-      throw TypeError('Invalid datatype');
+      throw new errors.MozValidationError('Invalid datatype', field, urls);
     }
 
     for (i = 0; i < urls.length; ++i) {
-      this._validateUrl(urls[i]);
+      this._validateUrl(urls[i], field);
     }
 
     return true;
   },
 
-  _validateNumeric(value) {
+  _validateNumeric(value, field) {
     if (value === null || value === undefined) return;
 
     if (typeof value !== 'number' || !isFinite(value)) {
-      throw TypeError('Invalid datatype');
+      throw new errors.MozValidationError('Invalid datatype', field, value);
     }
 
     return true;
   },
 
-  _validateMapping(mapping, a, b) {
+  _validateMapping(mapping, a, b, field) {
     var i;
 
     if (!mapping || !a || !b) return;
@@ -74,48 +96,48 @@ MozEndpoint.prototype = {
         }
       }
 
-      throw Error('Invalid mapping between ' + a + ' and ' + b);
+      throw new errors.MozValidationError('Invalid mapping between ' + a + ' and ' + b, field, b);
     }
   },
 
-  _validateMappings(mapping, a, b) {
+  _validateMappings(mapping, a, b, field) {
     var i;
 
     if (a && utils.isArray(a)) {
       for (i = 0; i < a.length; ++i) {
-        this._validateMapping(mapping, a[i], b);
+        this._validateMapping(mapping, a[i], b, field);
       }
 
       return true;
     } else {
-      return this._validateMapping(mapping, a, b);
+      return this._validateMapping(mapping, a, b, field);
     }
   },
 
-  _validateString(value) {
+  _validateString(value, field) {
     if (value === undefined || value === null) return;
 
     if (typeof value !== 'string') {
-      throw TypeError('Invalid datatype provided.');
+      throw new errors.MozValidationError('Invalid datatype provided.', field, value);
     }
 
     return true;
   },
 
-  _validateColType(cols, type) {
+  _validateColType(cols, type, field = 'cols') {
     var i;
 
     if (!cols) return;
 
     if (!utils.isArray(cols)) {
-      throw TypeError('Wrong datatype provided.');
+      throw new errors.MozValidationError('Wrong datatype provided.', field, cols);
     }
 
     for (i = 0; i < cols.length; ++i) {
       const key = cols[i];
 
       if (!utils.hasProperty(this._moz.bitFlags[type], key)) {
-        throw Error('Invalid Bit Flag: ' + key);
+        throw new errors.MozValidationError('Invalid Bit Flag: ' + key, field, key);
       }
 
       if (utils.containsValue(this._moz.bitFlags.deprecated, key)) {
@@ -130,13 +152,13 @@ MozEndpoint.prototype = {
     var that = this;
 
     Object.keys(bitFlagsMapping).forEach(function (key) {
-      that._validateColType(params[key], bitFlagsMapping[key]);
+      that._validateColType(params[key], bitFlagsMapping[key], key);
     });
 
     return true;
   },
 
-  _validateFieldInArray(field, array, type) {
+  _validateFieldInArray(field, array, type, param = type) {
     var i;
 
     if (!field) return;
@@ -150,7 +172,7 @@ MozEndpoint.prototype = {
     }
 
     if(utils.isArray(field)) {
-      throw TypeError('Incorrect datatype for ' + type);
+      throw new errors.MozValidationError('Incorrect datatype for ' + type, param, field);
     }
 
     for (i = 0; i < array.length; ++i) {
@@ -159,12 +181,12 @@ MozEndpoint.prototype = {
       }
     }
 
-    throw Error(field + ' not found in ' + type + '.');
+    throw new errors.MozValidationError(field + ' not found in ' + type + '.', param, field);
   },
 
   _validatePresence(value, type) {
     if (value === null || value === undefined) {
-      throw Error(type + ' not present!');
+      throw new errors.MozValidationError(type + ' not present!', type, value);
     }
 
     return true;
@@ -173,7 +195,7 @@ MozEndpoint.prototype = {
   _validateParams(params, acceptedParams) {
     Object.keys(params).forEach(function (key) {
       if (!utils.hasProperty(acceptedParams, key)) {
-        throw Error('Unrecognized parameter');
+        throw new errors.MozValidationError('Unrecognized parameter: ' + key, key, params[key]);
       }
     });
 
@@ -189,38 +211,79 @@ MozEndpoint.prototype = {
     return utils.capitalize(key) + '=' + value + (ampersand ? '&' : '');
   },
   
-  _signedAuthParams() {
+  /**
+   * The auth query params for `signed`, a `{ signature, expires }` pair
+   * from the signature, so `Expires` is always the one that was signed.
+   */
+  _authParams(signed, credentials = this._moz._api) {
     var string = '';
-    var signature = this._moz.signature.generate();
-    var expires = this._moz.signature.getExpires();
 
-    string += this._appendUrlParams('AccessID', this._moz._api.accessId);
-    string += this._appendUrlParams('Expires', expires);
-    string += this._appendUrlParams('Signature', signature, false);
+    string += this._appendUrlParams('AccessID', credentials.accessId);
+    string += this._appendUrlParams('Expires', signed.expires);
+    string += this._appendUrlParams('Signature', signed.signature, false);
 
     return string;
   },
 
-  _buildEndpoint() {
-    var url = 'http://' + this._moz._api.host + '/';
+  /**
+   * Signs with a fresh expiry and returns both as `{ signature, expires }`,
+   * so `Expires` matches the signature even when other requests sign in
+   * between.
+   */
+  _generate(credentials = this._moz._api) {
+    var expires = this._moz.signature._nextExpires();
 
-    url += this._moz._api.resource + '/';
-    url += this.endpoint + '/';
+    return { signature: this._moz.signature.generate(credentials, expires), expires: expires };
+  },
 
-    return url;
+  _signedAuthParams(credentials = this._moz._api) {
+    return this._authParams(this._generate(credentials), credentials);
   },
 
-  _buildCol(cols, type) {
-    var flag = 0;
-    var col;
-    var i;
+  /**
+   * Like `_generate()` but resolves, so it works with asynchronous signers.
+   */
+  _sign(credentials = this._moz._api) {
+    var expires = this._moz.signature._nextExpires();
+
+    return this._moz.signature.sign(credentials, expires).then(function signed(signature) {
+      return { signature: signature, expires: expires };
+    });
+  },
 
-    for (i = 0; i < cols.length; i++) {
-      col = cols[i];
-      flag += this._moz.bitFlags[type][col];
+  /**
+   * The credentials for one attempt: `options.credentials` when given,
+   * otherwise the next key of the pool, otherwise the instance's own.
+   */
+  _credentials(options) {
+    if (options.credentials) {
+      return CredentialPool.validateCredentials(options.credentials, 'credentials');
     }
 
-    return flag;
+    return this._moz.credentials ? this._moz.credentials.acquire() : this._moz._api;
+  },
+
+  _baseUrl() {
+    var api = this._moz._api;
+    var url = api.protocol + '://' + api.host;
+
+    if (api.port) url += ':' + api.port;
+
+    return url + api.basePath + '/' + api.resource + '/';
+  },
+
+  _buildEndpoint() {
+    return this._baseUrl() + this.endpoint + '/';
+  },
+
+  _transportRequest(config) {
+    var proxy = this._moz._api.proxy;
+
+    return this._moz.transport.request(proxy ? Object.assign({ proxy: proxy }, config) : config);
+  },
+
+  _buildCol(cols, type) {
+    return columns.serialize(this._moz.bitFlags[type], cols);
   },
 
   _buildFilter(filter) {
@@ -230,83 +293,411 @@ MozEndpoint.prototype = {
     return filter;
   },
 
+  /**
+   * The linkscape query string for `params`: cols as bit flag sums and
+   * every value encoded.
+   */
   _queryParams(params) {
-    var string = '';
     var that = this;
-    var isEnd;
-    var keys = Object.keys(params);
-
-    keys.forEach(function (key, index) {
-      isEnd = index < keys.length - 1; 
-
-      if (params[key]) {
-        switch (key) {
-          case 'cols':
-          case 'sourceCols':
-          case 'targetCols':
-          case 'linkCols':
-            const bitFlag = that._buildCol(params[key], that.bitFlagsMapping[key]);
-            string += that._appendUrlParams(key, bitFlag, isEnd);
-            break;
-
-          case 'filter':
-            const filter = that._buildFilter(params[key]);
-            string += that._appendUrlParams(key, filter, isEnd);
-            break;
-
-          case 'sourceDomain':
-            const url = that._encodeUrl(params[key]);
-            string += that._appendUrlParams(key, url, isEnd);
-            break;
-
-          case 'sorting':
-          case 'scope':
-          case 'limit':
-          case 'offset':
-            string += that._appendUrlParams(key, params[key], isEnd);
-            break;
-          default:
-            string += '';
+    var query = {};
+
+    Object.keys(params).forEach(function addParam(key) {
+      var value = params[key];
+
+      if (!utils.hasProperty(queryString.PARAM_NAMES, key) || !queryString.hasValue(value)) return;
+
+      if (utils.hasProperty(that.bitFlagsMapping, key)) {
+        value = that._buildCol(value, that.bitFlagsMapping[key]);
+      }
+
+      query[queryString.PARAM_NAMES[key]] = value;
+    });
+
+    return queryString.stringify(query);
+  },
+
+  _withQuery(url, params, authParams) {
+    var query = this._queryParams(Object.assign({}, this.acceptedParams, params));
+
+    return url + '?' + [query, authParams].filter(Boolean).join('&');
+  },
+
+  _buildUrlWithTarget(target, params, authParams = this._signedAuthParams()) {
+    return this._withQuery(this._buildEndpoint() + encodeURIComponent(target), params, authParams);
+  },
+
+  _buildUrl(params, authParams = this._signedAuthParams()) {
+    return this._withQuery(this._buildEndpoint(), params, authParams);
+  },
+
+  /**
+   * Checks `target` and `params` against the endpoint's schema and throws
+   * a MozValidationError listing every problem found.
+   */
+  validate(target, params = {}) {
+    if (!this.schema) return;
+
+    schema.assert(this.schema, target, params, { flags: this._moz.bitFlags });
+  },
+
+  /**
+   * Like `validate()` for params still being built: the target and
+   * required params are not checked.
+   */
+  validateParams(params = {}) {
+    if (!this.schema) return;
+
+    schema.assert(this.schema, undefined, params, { flags: this._moz.bitFlags, partial: true });
+  },
+
+  _httpMethodByType() {
+    return 'GET';
+  },
+
+  /**
+   * The transport config for a linkscape request signed with `authParams`.
+   * POST requests carry the target urls as their body.
+   */
+  _requestConfig(method, target, params, authParams) {
+    if (method === 'POST') {
+      return { method: 'post', url: this._buildUrl(params, authParams), data: target };
+    }
+
+    return { method: 'get', url: this._buildUrlWithTarget(target, params, authParams) };
+  },
+
+  /**
+   * Column names each bit flag param resolves to, as the api will read them.
+   */
+  _colNames(params) {
+    var that = this;
+    var merged = this._requestParams(params);
+    var names = {};
+
+    Object.keys(this.bitFlagsMapping).forEach(function decodeCols(key) {
+      var flags = that._moz.bitFlags[that.bitFlagsMapping[key]];
+
+      if (merged[key]) {
+        names[key] = columns.decode(flags, columns.serialize(flags, merged[key]));
+      }
+    });
+
+    return names;
+  },
+
+  /**
+   * Validates `params` and returns the request `fetch()` would send, without
+   * sending it: `method`, `url`, `headers`, `body`, the column names in
+   * `cols` and the signature's `expires`. Signing needs a synchronous signer,
+   * and the url can be replayed until it expires; log
+   * `buildRedactedRequest()` instead.
+   */
+  buildRequest(target, params = {}) {
+    var method;
+    var signed;
+    var config;
+
+    this.validate(target, params);
+
+    method = this._httpMethodByType(target);
+    signed = this._generate();
+    config = this._requestConfig(method, target, params, this._authParams(signed));
+
+    return {
+      method: method,
+      url: config.url,
+      headers: config.data === undefined ? {} : { 'Content-Type': 'application/json' },
+      body: config.data,
+      cols: this._colNames(params),
+      expires: signed.expires
+    };
+  },
+
+  /**
+   * `buildRequest()` with the access id, signature and credentials
+   * replaced, safe to paste into logs and support tickets.
+   */
+  buildRedactedRequest(target, params = {}) {
+    return redactRequest(this.buildRequest(target, params));
+  },
+
+  _send(request, options) {
+    if (!options.decode) return request;
+
+    return request.then(function decodeResponse(response) {
+      return decoder.decodeResponse(response);
+    });
+  },
+
+  /**
+   * Walks every page for `target`, yielding rows one at a time. Pages are
+   * requested with at most MAX_LIMIT rows and stop on a short page, at
+   * MAX_OFFSET, or once `options.maxRows` rows have been yielded.
+   */
+  async *iterate(target, params = {}, options = {}) {
+    var pageSize = Math.min(params.limit || MozEndpoint.MAX_LIMIT, MozEndpoint.MAX_LIMIT);
+    var offset = params.offset || 0;
+    var maxRows = options.maxRows;
+    var fetchOptions = Object.assign({}, options);
+    var count = 0;
+    var limit;
+    var page;
+    var rows;
+    var i;
+
+    if (!this.paginated) {
+      throw new errors.MozError(this.endpoint + ' does not support pagination');
+    }
+
+    this._validateNumeric(maxRows, 'maxRows');
+    delete fetchOptions.maxRows;
+
+    while (offset <= MozEndpoint.MAX_OFFSET) {
+      limit = maxRows == null ? pageSize : Math.min(pageSize, maxRows - count);
+      if (limit <= 0) return;
+
+      page = Object.assign({}, params, { limit: limit, offset: offset });
+
+      // eslint-disable-next-line no-await-in-loop
+      rows = (await this.fetch(target, page, fetchOptions)).data;
+      rows = utils.isArray(rows) ? rows : [];
+
+      for (i = 0; i < rows.length; i++) {
+        count += 1;
+        yield rows[i];
+      }
+
+      if (rows.length < limit) return;
+      offset += rows.length;
+    }
+  },
+
+  setRetryPolicy(policy) {
+    this._retryPolicy = policy;
+  },
+
+  /**
+   * Calls `request` until it succeeds or the retry policy gives up. Every
+   * attempt is signed afresh and `request(credentials, signed)` builds it
+   * from that signature, and every response, failed or not, updates the
+   * clock skew. Each attempt is queued through `schedule(task)` on its own,
+   * so backoff waits happen outside the queue.
+   * When a pooled key is rejected or rate limited the request moves to the
+   * next key straight away. The final failure, or the last one when the
+   * pool runs out of keys, is translated into a MozRequestError.
+   */
+  _retry(request, options, schedule) {
+    var that = this;
+    var clock = this._moz.clock;
+    var pool = options.credentials ? null : this._moz.credentials;
+    var policy = retry.policy(this._moz._api.retry, this._retryPolicy, options.retry);
+    var lastError = null;
+
+    function attempt(count) {
+      var credentials;
+      var pending;
+      var expires;
+
+      try {
+        credentials = that._credentials(options);
+      } catch (error) {
+        return Promise.reject(lastError ? errors.fromHttpError(lastError) : error);
+      }
+
+      pending = schedule(function send() {
+        return that._sign(credentials).then(function sendSigned(signed) {
+          expires = signed.expires;
+          return request(credentials, signed);
+        });
+      });
+
+      return pending.then(function observe(response) {
+        clock.observe(response.headers);
+        return response;
+      }, function retryFailure(error) {
+        lastError = error;
+        if (error.response) clock.observe(error.response.headers);
+
+        if (pool && pool.fail(credentials, error, expires && clock.seconds() >= expires)) {
+          return attempt(count);
+        }
+
+        if (!retry.shouldRetry(policy, error, count, expires, clock.seconds())) {
+          throw errors.fromHttpError(error);
         }
+
+        return retry.wait(retry.delay(policy, count, error)).then(function next() {
+          return attempt(count + 1);
+        });
+      });
+    }
+
+    return attempt(1);
+  },
+
+  /**
+   * Runs `request` with retries, scheduling every attempt so retries count
+   * against the rate limit too. `queuePosition()` follows the latest
+   * attempt.
+   */
+  _schedule(request, options) {
+    var scheduler = this._moz.scheduler;
+    var current = null;
+    var result = this._retry(request, options, function schedule(task) {
+      current = scheduler.schedule(task);
+      return current;
+    });
+
+    result.queuePosition = function queuePosition() {
+      return current ? current.queuePosition() : 0;
+    };
+
+    return result;
+  },
+
+  _resourcePath() {
+    return this._moz._api.resource + '/' + this.endpoint;
+  },
+
+  /**
+   * Params as sent, with defaults applied and cols sorted, so equivalent
+   * requests share cache entries and fixtures.
+   */
+  _requestParams(params) {
+    var merged = Object.assign({}, this.acceptedParams, params);
+
+    Object.keys(this.bitFlagsMapping).forEach(function sortCols(key) {
+      if (utils.isArray(merged[key])) {
+        merged[key] = merged[key].slice().sort();
       }
     });
 
-    return string;
+    return merged;
   },
 
-  _buildUrlWithTarget(target, params) {
-    var url = this._buildEndpoint();
-    url += encodeURIComponent(target) + '?';
+  /**
+   * Rows a request may be billed for: one per target url, or the page size
+   * of paginated endpoints.
+   */
+  _rowsRequested(target, params) {
+    if (!this.billable) return 0;
+    if (utils.isArray(target)) return target.length;
+    if (this.paginated) return this._requestParams(params).limit;
 
-    const mergedParams = Object.assign({}, this.acceptedParams, params);
+    return 1;
+  },
 
-    url += this._queryParams(mergedParams);
-    url += "&"
-    url += this._signedAuthParams();
+  _rowsReceived(data) {
+    if (!this.billable || data == null) return 0;
+    if (utils.isArray(data)) return data.length;
+    if (utils.isArray(data.results)) return data.results.length;
 
-    return url;
+    return 1;
   },
 
-  _buildUrl(params) {
-    var url = this._buildEndpoint();
-    url += '?';
+  /**
+   * Calls made with their own `credentials` are cached apart per access
+   * id, so tenants sharing an instance never get each other's responses.
+   */
+  _cacheKey(target, params, options = {}) {
+    var accessId = options.credentials ? options.credentials.accessId : undefined;
+
+    return this._moz.cache.key(this._resourcePath(), target, this._requestParams(params), accessId);
+  },
+
+  /**
+   * Serves the request from the response cache when possible, otherwise
+   * schedules it and caches the response. `options.cache: false` bypasses
+   * the cache in both directions, as do endpoints that are not
+   * `cacheable`. With fixtures configured, fresh
+   * responses are recorded, or served from the recorded files instead.
+   * Requests that reach the network are counted against the quota first.
+   */
+  _dispatch(target, params, options, request) {
+    var that = this;
+    var cache = options.cache === false || !this.cacheable ? null : this._moz.cache;
+    var key = cache ? this._cacheKey(target, params, options) : null;
+    var quota = this._moz.quota;
+    var scheduled = null;
+    var result;
+
+    function send() {
+      var recorder = that._moz.recorder;
+      var path = that._resourcePath();
+      var sent = that._requestParams(params);
+
+      if (recorder && recorder.replaying) return recorder.replay(path, target, sent);
+
+      try {
+        quota.reserve(that.endpoint, that._rowsRequested(target, params));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+
+      scheduled = that._schedule(request, options);
+
+      return scheduled.then(function count(response) {
+        quota.receive(that.endpoint, that._rowsReceived(response.data));
+
+        if (!recorder) return response;
+
+        return recorder.record(path, target, sent, response).then(function recorded() {
+          return response;
+        });
+      });
+    }
 
-    const mergedParams = Object.assign({}, this.acceptedParams, params);
-    url += this._queryParams(mergedParams);
-    url += "&"
-    url += this._signedAuthParams();
+    function fresh() {
+      return send().then(function store(response) {
+        response.fromCache = false;
 
-    return url;
+        if (!cache) return response;
+
+        return cache.set(key, response).catch(function warn(error) {
+          that._moz._warn('Unable to cache response: ' + error.message);
+        }).then(function cached() {
+          return response;
+        });
+      });
+    }
+
+    if (cache) {
+      result = this._moz._checkIndex().then(function read() {
+        return cache.get(key);
+      }).then(function useCache(cached) {
+        return cached || fresh();
+      });
+    } else {
+      result = fresh();
+    }
+
+    result = this._send(result, options);
+
+    result.queuePosition = function queuePosition() {
+      return scheduled ? scheduled.queuePosition() : 0;
+    };
+
+    return result;
   },
 
-  get(target, params = {}) {
-    const url = this._buildUrlWithTarget(target, params);
-    return this._axios.get(url);
+  get(target, params = {}, options = {}) {
+    var that = this;
+
+    return this._dispatch(target, params, options, function request(credentials, signed) {
+      var authParams = that._authParams(signed, credentials);
+
+      return that._transportRequest(that._requestConfig('GET', target, params, authParams));
+    });
   },
 
-  post(target, params = {}) {
-    const url = this._buildUrl(params);
-    return this._axios.post(url, target);
+  post(target, params = {}, options = {}) {
+    var that = this;
+
+    return this._dispatch(target, params, options, function request(credentials, signed) {
+      var authParams = that._authParams(signed, credentials);
+
+      return that._transportRequest(that._requestConfig('POST', target, params, authParams));
+    });
   }
 };
 
@@ -0,0 +1,103 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+var MozEndpoint = require('./moz-endpoint');
+
+/**
+ * Base for the Links API v2 endpoints. Requests are JSON bodies POSTed to
+ * `/v2/<endpoint>` and authenticated with HTTP Basic auth instead of the
+ * signed query string used by the linkscape endpoints.
+ */
+module.exports = MozEndpoint.extend({
+  targetField: 'target',
+
+  _buildEndpoint() {
+    return this._baseUrl() + this.endpoint;
+  },
+
+  _rowsRequested(target, params) {
+    var limit = this._requestParams(params).limit;
+
+    if (!this.billable) return 0;
+    if (limit != null) return limit;
+
+    return utils.isArray(target) ? target.length : 1;
+  },
+
+  /**
+   * Basic auth needs no signature, and nothing expires.
+   */
+  _sign() {
+    return Promise.resolve({ signature: null, expires: 0 });
+  },
+
+  _httpMethodByType() {
+    return 'POST';
+  },
+
+  _authConfig(credentials = this._moz._api) {
+    return {
+      auth: {
+        username: credentials.accessId,
+        password: credentials.secretKey
+      }
+    };
+  },
+
+  _buildBody(target, params) {
+    var body = Object.assign({}, params);
+
+    if (target !== undefined && this.targetField) {
+      body[this.targetField] = target;
+    }
+
+    return body;
+  },
+
+  fetch(target, params = {}, options = {}) {
+    this.validate(target, params);
+
+    return this.post(target, params, options);
+  },
+
+  /**
+   * Like the linkscape `buildRequest()`. Endpoints without a target take
+   * only `params`, as their `fetch()` does. Nothing expires, so `expires`
+   * is null.
+   */
+  buildRequest(target, params = {}) {
+    var body = this.targetField ? params : target || {};
+    var value = this.targetField ? target : undefined;
+
+    this.validate(value, body);
+
+    return {
+      method: 'POST',
+      url: this._buildEndpoint(),
+      headers: {
+        Authorization: utils.basicAuth(this._authConfig().auth),
+        'Content-Type': 'application/json'
+      },
+      body: this._buildBody(value, body),
+      cols: {},
+      expires: null
+    };
+  },
+
+  get() {
+    throw new errors.MozError('The v2 API only accepts POST requests');
+  },
+
+  post(target, params = {}, options = {}) {
+    var that = this;
+
+    return this._dispatch(target, params, options, function request(credentials) {
+      return that._transportRequest(Object.assign({
+        method: 'post',
+        url: that._buildEndpoint(),
+        data: that._buildBody(target, params)
+      }, that._authConfig(credentials)));
+    });
+  }
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+var utils = require('./utils');
+
+var COL_STEPS = ['cols', 'sourceCols', 'targetCols', 'linkCols'];
+
+/**
+ * Chainable params builder for a single target. Every step validates the
+ * params so far against the endpoint schema right away, including the
+ * scope/filter to sort mappings, and returns a new builder so partial
+ * queries can be reused.
+ */
+function QueryBuilder(endpoint, target, params = {}) {
+  endpoint._validatePresence(target, 'target');
+  endpoint._validateUrl(target);
+
+  this._endpoint = endpoint;
+  this._target = target;
+  this._params = params;
+}
+
+QueryBuilder.prototype = {
+  _with(key, value) {
+    var endpoint = this._endpoint;
+    var params = Object.assign({}, this._params);
+
+    params[key] = value;
+    endpoint.validateParams(params);
+
+    return new QueryBuilder(endpoint, this._target, params);
+  },
+
+  scope(scope) {
+    return this._with('scope', scope);
+  },
+
+  sort(sort) {
+    return this._with('sort', sort);
+  },
+
+  /**
+   * Replaces the filters. Several filters are sent joined with `+`.
+   */
+  filter(...filters) {
+    return this._with('filter', filters.length === 1 ? filters[0] : filters);
+  },
+
+  sourceDomain(url) {
+    return this._with('sourceDomain', url);
+  },
+
+  limit(limit) {
+    return this._with('limit', limit);
+  },
+
+  offset(offset) {
+    return this._with('offset', offset);
+  },
+
+  params() {
+    return Object.assign({}, this._params);
+  },
+
+  /**
+   * The endpoint's `buildRequest()` for the built params, plus the endpoint,
+   * target and params. The url carries a signature, so treat it like the
+   * credentials.
+   */
+  toRequest() {
+    var params = this.params();
+
+    return Object.assign({
+      endpoint: this._endpoint.endpoint,
+      target: this._target,
+      params: params
+    }, this._endpoint.buildRequest(this._target, params));
+  },
+
+  fetch(options = {}) {
+    return this._endpoint.fetch(this._target, this.params(), options);
+  },
+
+  iterate(options = {}) {
+    return this._endpoint.iterate(this._target, this.params(), options);
+  }
+};
+
+COL_STEPS.forEach(function addColStep(key) {
+  QueryBuilder.prototype[key] = function setCols(cols) {
+    return this._with(key, utils.isArray(cols) ? cols.slice() : cols);
+  };
+});
+
+module.exports = QueryBuilder;
@@ -0,0 +1,89 @@
+'use strict';
+
+var utils = require('./utils');
+
+/**
+ * Query param names of the linkscape api by param name. Anything else in
+ * the params is not sent.
+ */
+var PARAM_NAMES = {
+  cols: 'Cols',
+  sourceCols: 'SourceCols',
+  targetCols: 'TargetCols',
+  linkCols: 'LinkCols',
+  scope: 'Scope',
+  sort: 'Sort',
+  filter: 'Filter',
+  sourceDomain: 'SourceDomain',
+  limit: 'Limit',
+  offset: 'Offset'
+};
+
+/**
+ * Empty params, and zero ones such as the first page's offset, are left to
+ * the api defaults.
+ */
+function hasValue(value) {
+  if (!value) return false;
+
+  return !utils.isArray(value) || value.length > 0;
+}
+
+/**
+ * Arrays, such as several filters, are sent as their encoded items joined
+ * with `+`.
+ */
+function encodeValue(value) {
+  if (utils.isArray(value)) return value.map(encodeValue).join('+');
+
+  return encodeURIComponent(String(value));
+}
+
+function decodeValue(value) {
+  var items = value.split('+').map(function decodeItem(item) {
+    return decodeURIComponent(item);
+  });
+
+  return items.length > 1 ? items : items[0];
+}
+
+/**
+ * `name=value` pairs joined with `&`, skipping empty values. Params keep
+ * their order.
+ */
+function stringify(params) {
+  return Object.keys(params).filter(function present(name) {
+    return hasValue(params[name]);
+  }).map(function pair(name) {
+    return encodeURIComponent(name) + '=' + encodeValue(params[name]);
+  }).join('&');
+}
+
+/**
+ * The reverse of `stringify()`. Values joined with `+` come back as
+ * arrays. A leading `?` is ignored.
+ */
+function parse(query) {
+  var params = {};
+
+  String(query || '').replace(/^\?/, '').split('&').forEach(function addPair(pair) {
+    var index = pair.indexOf('=');
+
+    if (!pair) return;
+
+    if (index === -1) {
+      params[decodeURIComponent(pair)] = '';
+    } else {
+      params[decodeURIComponent(pair.substring(0, index))] = decodeValue(pair.substring(index + 1));
+    }
+  });
+
+  return params;
+}
+
+module.exports = {
+  PARAM_NAMES: PARAM_NAMES,
+  hasValue: hasValue,
+  stringify: stringify,
+  parse: parse
+};
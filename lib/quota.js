@@ -0,0 +1,136 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+function validateRows(value, field) {
+  if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
+    throw new errors.MozValidationError('Invalid budget: ' + field, field, value);
+  }
+}
+
+function emptyUsage() {
+  return { requests: 0, rowsRequested: 0, rowsReceived: 0 };
+}
+
+/**
+ * Counts requests and rows per endpoint and enforces an optional budget of
+ * rows requested. The budget is a number of rows for all endpoints, or
+ * `{ total, endpoints: { links: rows } }`. Rows are counted when a request
+ * is sent, whether or not it succeeds, so the budget is an upper bound on
+ * what can be billed.
+ */
+function Quota(budget) {
+  this.setBudget(budget);
+  this.reset();
+}
+
+Quota.prototype = {
+  setBudget(budget) {
+    var config = typeof budget === 'number' ? { total: budget } : budget;
+    var limits = {};
+
+    if (config && typeof config !== 'object') {
+      throw new errors.MozValidationError('Invalid budget', 'budget', budget);
+    }
+
+    config = config || {};
+
+    if (config.total != null) validateRows(config.total, 'total');
+
+    Object.keys(config.endpoints || {}).forEach(function validateEndpoint(endpoint) {
+      validateRows(config.endpoints[endpoint], endpoint);
+      limits[endpoint] = config.endpoints[endpoint];
+    });
+
+    this.budget = {
+      total: config.total == null ? Infinity : config.total,
+      endpoints: limits
+    };
+  },
+
+  reset() {
+    this._total = emptyUsage();
+    this._endpoints = {};
+  },
+
+  _usage(endpoint) {
+    if (!utils.hasProperty(this._endpoints, endpoint)) {
+      this._endpoints[endpoint] = emptyUsage();
+    }
+
+    return this._endpoints[endpoint];
+  },
+
+  /**
+   * Rows that may still be requested from `endpoint`, or from any endpoint
+   * when none is given.
+   */
+  remaining(endpoint) {
+    var remaining = this.budget.total - this._total.rowsRequested;
+    var usage;
+
+    if (endpoint !== undefined && utils.hasProperty(this.budget.endpoints, endpoint)) {
+      usage = this._endpoints[endpoint] || emptyUsage();
+      remaining = Math.min(remaining, this.budget.endpoints[endpoint] - usage.rowsRequested);
+    }
+
+    return Math.max(remaining, 0);
+  },
+
+  /**
+   * Throws a MozQuotaError when requesting `rows` more rows from
+   * `endpoint` would go over budget.
+   */
+  check(endpoint, rows) {
+    var remaining = this.remaining(endpoint);
+
+    if (rows > remaining) {
+      throw new errors.MozQuotaError(
+        'Budget exceeded for ' + endpoint + ': ' + rows + ' rows requested, '
+          + remaining + ' remaining',
+        endpoint,
+        rows,
+        remaining
+      );
+    }
+  },
+
+  /**
+   * Checks the budget, then counts the request and its rows.
+   */
+  reserve(endpoint, rows) {
+    var usage;
+
+    this.check(endpoint, rows);
+
+    usage = this._usage(endpoint);
+    usage.requests += 1;
+    usage.rowsRequested += rows;
+    this._total.requests += 1;
+    this._total.rowsRequested += rows;
+  },
+
+  receive(endpoint, rows) {
+    this._usage(endpoint).rowsReceived += rows;
+    this._total.rowsReceived += rows;
+  },
+
+  summary() {
+    var that = this;
+    var endpoints = {};
+
+    Object.keys(this._endpoints).forEach(function summarize(endpoint) {
+      endpoints[endpoint] = Object.assign({}, that._endpoints[endpoint], {
+        remaining: that.remaining(endpoint)
+      });
+    });
+
+    return Object.assign({}, this._total, {
+      remaining: this.remaining(),
+      endpoints: endpoints
+    });
+  }
+};
+
+module.exports = Quota;
@@ -0,0 +1,146 @@
+'use strict';
+
+/* eslint global-require: "off" */
+
+var utils = require('./utils');
+var errors = require('./errors');
+var Cache = require('./cache');
+
+Recorder.MODES = ['record', 'replay'];
+
+Recorder.STRIPPED_HEADERS = ['authorization', 'cookie', 'set-cookie'];
+
+function stripUrl(url) {
+  return String(url)
+    .replace(/([?&])(AccessID|Expires|Signature)=[^&]*/gi, '$1')
+    .replace(/&{2,}/g, '&')
+    .replace(/[?&]+$/, '')
+    .replace(/\?&/, '?');
+}
+
+function stripHeaders(headers) {
+  var result = {};
+
+  Object.keys(headers || {}).forEach(function copy(name) {
+    if (!utils.containsValue(Recorder.STRIPPED_HEADERS, name.toLowerCase())) {
+      result[name] = headers[name];
+    }
+  });
+
+  return result;
+}
+
+function slug(target) {
+  var first = utils.isArray(target) ? target[0] : target;
+  var name = String(first === undefined ? 'request' : first)
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/[^a-z0-9.]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 60);
+
+  if (utils.isArray(target) && target.length > 1) {
+    name += '-and-' + (target.length - 1);
+  }
+
+  return name || 'request';
+}
+
+/**
+ * Records responses to fixture files and replays them. Files live under
+ * `dir/<resource>/<endpoint>/` and are named after the target plus a hash
+ * of the normalized request, so the same endpoint, target and params
+ * always map to the same file. Credentials and signatures are never
+ * written. Node only.
+ */
+function Recorder(options = {}) {
+  if (!utils.containsValue(Recorder.MODES, options.mode)) {
+    throw new errors.MozValidationError('Unknown fixtures mode: ' + options.mode, 'mode', options.mode);
+  }
+
+  this._fs = require('fs');
+  this._path = require('path');
+  this._crypto = require('crypto');
+
+  this.mode = options.mode;
+  this.dir = options.dir || this._path.join('test', 'fixtures', 'moz');
+}
+
+Recorder.prototype = {
+  get replaying() {
+    return this.mode === 'replay';
+  },
+
+  key(endpoint, target, params) {
+    return JSON.stringify([endpoint, Cache.normalize(target), Cache.normalize(params)]);
+  },
+
+  file(endpoint, target, params) {
+    var hash = this._crypto.createHash('sha1').update(this.key(endpoint, target, params)).digest('hex');
+    return this._path.join(this.dir, endpoint, slug(target) + '-' + hash.substring(0, 12) + '.json');
+  },
+
+  /**
+   * Resolves with the recorded response, or rejects with a
+   * MozFixtureError naming the file that was looked for.
+   */
+  replay(endpoint, target, params) {
+    var file = this.file(endpoint, target, params);
+    var fs = this._fs;
+
+    return new Promise(function read(resolve, reject) {
+      fs.readFile(file, 'utf8', function done(error, contents) {
+        if (error && error.code === 'ENOENT') {
+          reject(new errors.MozFixtureError(
+            'No recorded fixture for ' + endpoint + ' ' + JSON.stringify(target)
+              + ' with params ' + JSON.stringify(Cache.normalize(params)) + ', expected ' + file,
+            file
+          ));
+        } else if (error) {
+          reject(error);
+        } else {
+          resolve(Object.assign(JSON.parse(contents).response, { fromFixture: true }));
+        }
+      });
+    });
+  },
+
+  record(endpoint, target, params, response) {
+    var file = this.file(endpoint, target, params);
+    var dir = this._path.dirname(file);
+    var fs = this._fs;
+    var config = response.config || {};
+    var fixture = {
+      endpoint: endpoint,
+      target: target,
+      params: Cache.normalize(params),
+      request: {
+        method: config.method ? String(config.method).toUpperCase() : undefined,
+        url: config.url ? stripUrl(config.url) : undefined
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: stripHeaders(response.headers),
+        data: response.data
+      }
+    };
+
+    return new Promise(function write(resolve, reject) {
+      fs.mkdir(dir, { recursive: true }, function created(mkdirError) {
+        if (mkdirError) {
+          reject(mkdirError);
+          return;
+        }
+
+        fs.writeFile(file, JSON.stringify(fixture, null, 2) + '\n', function done(error) {
+          if (error) reject(error);
+          else resolve(file);
+        });
+      });
+    });
+  }
+};
+
+Recorder.stripUrl = stripUrl;
+
+module.exports = Recorder;
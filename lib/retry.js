@@ -0,0 +1,72 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+var DEFAULTS = {
+  attempts: 3,
+  minDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  network: true,
+  statusCodes: [429, 500, 502, 503, 504]
+};
+
+function retryAfter(error) {
+  var seconds = errors.parseRetryAfter(error.response && error.response.headers);
+  return seconds ? seconds * 1000 : 0;
+}
+
+module.exports = {
+  DEFAULTS: DEFAULTS,
+
+  /**
+   * Merges policies from least to most specific. `false` disables retries.
+   */
+  policy(...policies) {
+    return policies.reduce(function merge(result, policy) {
+      if (policy === false) return Object.assign(result, { attempts: 1 });
+      return Object.assign(result, policy);
+    }, Object.assign({}, DEFAULTS));
+  },
+
+  /**
+   * A 401 is retried only when the signature it was sent with has expired
+   * by `now` (epoch seconds), since a fresh signature is generated for
+   * every attempt.
+   */
+  shouldRetry(policy, error, attempt, expires, now = Math.floor(Date.now() / 1000)) {
+    var status;
+
+    if (attempt >= policy.attempts) return false;
+
+    if (!error.response) {
+      return Boolean(policy.network && error.request);
+    }
+
+    status = error.response.status;
+
+    if (status === 401) {
+      return Boolean(expires) && now >= expires;
+    }
+
+    return utils.containsValue(policy.statusCodes, status);
+  },
+
+  delay(policy, attempt, error) {
+    var base = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+
+    if (policy.jitter) {
+      base *= 0.5 + Math.random() / 2;
+    }
+
+    return Math.max(Math.round(base), retryAfter(error));
+  },
+
+  wait(ms) {
+    return new Promise(function sleep(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+};
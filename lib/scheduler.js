@@ -0,0 +1,161 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+function noop() {}
+
+Scheduler.TIERS = {
+  free: { requests: 1, interval: 10000, concurrency: 1 }
+};
+
+Scheduler.DEFAULTS = {
+  requests: Infinity,
+  interval: 0,
+  concurrency: Infinity
+};
+
+/**
+ * Queues request tasks so no more than `requests` start within any
+ * `interval` milliseconds and no more than `concurrency` run at once.
+ * Tasks start in FIFO order and their promises settle in the same order.
+ */
+function Scheduler(options) {
+  this.configure(options);
+
+  this._queue = [];
+  this._started = [];
+  this._running = 0;
+  this._timer = null;
+  this._lastSettled = Promise.resolve();
+}
+
+Scheduler.prototype = {
+  configure(options) {
+    var config = options;
+
+    if (typeof config === 'string') {
+      if (!utils.hasProperty(Scheduler.TIERS, config)) {
+        throw new errors.MozValidationError('Unknown rate limit tier: ' + config, 'rateLimit', config);
+      }
+      config = Scheduler.TIERS[config];
+    }
+
+    config = Object.assign({}, Scheduler.DEFAULTS, config);
+
+    ['requests', 'interval', 'concurrency'].forEach(function validateOption(key) {
+      if (typeof config[key] !== 'number' || Number.isNaN(config[key]) || config[key] < 0) {
+        throw new errors.MozValidationError('Invalid rate limit option: ' + key, key, config[key]);
+      }
+    });
+
+    if (config.requests < 1 || config.concurrency < 1) {
+      throw new errors.MozValidationError('Rate limit requests and concurrency must be at least 1', 'rateLimit', config);
+    }
+
+    this.requests = config.requests;
+    this.interval = config.interval;
+    this.concurrency = config.concurrency;
+  },
+
+  get size() {
+    return this._queue.length;
+  },
+
+  get running() {
+    return this._running;
+  },
+
+  schedule(task) {
+    var that = this;
+    var job = { task: task };
+    var previous = this._lastSettled;
+    var outcome = new Promise(function enqueue(resolve, reject) {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    var result = outcome.then(
+      function settleValue(value) {
+        return previous.then(function resolveValue() { return value; });
+      },
+      function settleError(error) {
+        return previous.then(function rejectError() { throw error; });
+      }
+    );
+
+    this._lastSettled = result.then(noop, noop);
+    this._queue.push(job);
+
+    /**
+     * 1-based position in the queue while waiting, 0 once the request
+     * has been sent.
+     */
+    result.queuePosition = function queuePosition() {
+      return that._queue.indexOf(job) + 1;
+    };
+
+    this._drain();
+
+    return result;
+  },
+
+  _pruneWindow(now) {
+    var windowStart = now - this.interval;
+
+    this._started = this._started.filter(function inWindow(time) {
+      return time > windowStart;
+    });
+  },
+
+  _drain() {
+    var now;
+    var job;
+
+    while (this._queue.length && this._running < this.concurrency) {
+      now = Date.now();
+      this._pruneWindow(now);
+
+      if (this._started.length >= this.requests) {
+        this._wait(this._started[0] + this.interval - now);
+        return;
+      }
+
+      job = this._queue.shift();
+      this._running += 1;
+      this._started.push(now);
+      this._run(job);
+    }
+  },
+
+  _wait(delay) {
+    var that = this;
+
+    if (this._timer) return;
+
+    this._timer = setTimeout(function resume() {
+      that._timer = null;
+      that._drain();
+    }, delay);
+  },
+
+  _run(job) {
+    var that = this;
+
+    function done() {
+      that._running -= 1;
+      that._drain();
+    }
+
+    Promise.resolve()
+      .then(job.task)
+      .then(function resolveJob(value) {
+        done();
+        job.resolve(value);
+      }, function rejectJob(error) {
+        done();
+        job.reject(error);
+      });
+  }
+};
+
+module.exports = Scheduler;
@@ -0,0 +1,320 @@
+'use strict';
+
+var utils = require('./utils');
+var errors = require('./errors');
+var bitFlags = require('./bit-flags');
+
+/**
+ * Params and targets are validated against plain data schemas:
+ *
+ *   {
+ *     target: { type: 'url', required: true },
+ *     params: { limit: { type: 'number', integer: true, min: 1, max: 50, default: 25 } },
+ *     rules: [{ type: 'mapping', field: 'scope', dependent: 'sort', mapping: { ... } }]
+ *   }
+ *
+ * Param types are `string`, `number`, `boolean`, `url`, `cols` (bit flag
+ * names from the `flags` table) and `targets`, an array of `{ target,
+ * scope }` objects; targets are a `url` or `urls`, one url or an array.
+ * Strings and target scopes may list allowed values in `enum`, named
+ * `enumName` in messages, and strings take an array with `multiple`. A `mapping` rule limits the
+ * `dependent` param to the values listed for the value of `field`.
+ * Schemas hold no functions, so they serialize to JSON as they are.
+ */
+var TYPES = ['string', 'number', 'boolean', 'url', 'cols', 'targets'];
+
+function isAbsent(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function problem(message, field, value) {
+  return new errors.MozValidationError(message, field, value);
+}
+
+function checkUrl(value, field) {
+  if (!utils.isValidURL(value)) {
+    return [problem('Url: ' + value + ' is not a valid url', field, value)];
+  }
+
+  return [];
+}
+
+function checkEnum(value, rule, field) {
+  var name = rule.enumName || field + 's';
+
+  if (!rule.enum || utils.containsValue(rule.enum, value)) return [];
+
+  return [problem(value + ' not found in ' + name + '.', field, value)];
+}
+
+function checkString(value, rule, field) {
+  var items = rule.multiple && utils.isArray(value) ? value : [value];
+  var problems = [];
+
+  items.forEach(function checkValue(item) {
+    if (typeof item !== 'string') {
+      problems.push(problem('Invalid datatype provided.', field, item));
+    } else {
+      problems.push(...checkEnum(item, rule, field));
+    }
+  });
+
+  return problems;
+}
+
+function checkNumber(value, rule, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return [problem('Invalid datatype', field, value)];
+  }
+
+  if (rule.integer && !Number.isInteger(value)) {
+    return [problem(field + ' must be a whole number', field, value)];
+  }
+
+  if (rule.min != null && value < rule.min) {
+    return [problem(field + ' must be at least ' + rule.min, field, value)];
+  }
+
+  if (rule.max != null && value > rule.max) {
+    return [problem(field + ' must be at most ' + rule.max, field, value)];
+  }
+
+  return [];
+}
+
+function checkCols(value, rule, field, flags) {
+  var table = flags[rule.flags];
+  var problems = [];
+
+  if (!utils.isArray(value)) {
+    return [problem('Wrong datatype provided.', field, value)];
+  }
+
+  value.forEach(function checkCol(key) {
+    if (!utils.hasProperty(table, key)) {
+      problems.push(problem('Invalid Bit Flag: ' + key, field, key));
+    } else if (utils.containsValue(flags.deprecated, key)) {
+      // eslint-disable-next-line no-console
+      console.warn(key + ' is deprecated. Col may not work as expected.');
+    }
+  });
+
+  return problems;
+}
+
+function checkTargets(value, rule, field) {
+  var problems = [];
+
+  if (!utils.isArray(value)) {
+    return [problem('Wrong datatype provided.', field, value)];
+  }
+
+  value.forEach(function checkEntry(entry) {
+    if (!entry || typeof entry.target !== 'string') {
+      problems.push(problem('Invalid datatype provided.', field, entry));
+      return;
+    }
+
+    problems.push(...checkUrl(entry.target, field));
+    if (!isAbsent(entry.scope)) problems.push(...checkEnum(entry.scope, rule, field));
+  });
+
+  return problems;
+}
+
+function checkParam(value, rule, field, flags) {
+  switch (rule.type) {
+    case 'string':
+      return checkString(value, rule, field);
+
+    case 'number':
+      return checkNumber(value, rule, field);
+
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [problem('Invalid datatype provided.', field, value)];
+
+    case 'url':
+      return typeof value === 'string' ? checkUrl(value, field) : [problem('Invalid datatype provided.', field, value)];
+
+    case 'cols':
+      return checkCols(value, rule, field, flags);
+
+    case 'targets':
+      return checkTargets(value, rule, field);
+
+    default:
+      return [];
+  }
+}
+
+function checkTarget(target, rule) {
+  var problems = [];
+
+  if (isAbsent(target)) {
+    return rule.required ? [problem('target not present!', 'target', target)] : [];
+  }
+
+  if (rule.type === 'urls' && utils.isArray(target)) {
+    target.forEach(function checkEach(url) {
+      if (!isAbsent(url)) problems.push(...checkUrl(url, 'target'));
+    });
+
+    return problems;
+  }
+
+  if (typeof target !== 'string') {
+    return [problem('Invalid datatype', 'target', target)];
+  }
+
+  return checkUrl(target, 'target');
+}
+
+function checkMapping(rule, params) {
+  var fieldValues = [].concat(params[rule.field]);
+  var dependent = params[rule.dependent];
+  var problems = [];
+
+  if (isAbsent(dependent)) return [];
+
+  fieldValues.forEach(function checkValue(value) {
+    var allowed = utils.hasProperty(rule.mapping, value) ? rule.mapping[value] : null;
+
+    if (allowed && !utils.containsValue(allowed, dependent)) {
+      problems.push(problem('Invalid mapping between ' + value + ' and ' + dependent, rule.dependent, dependent));
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Every problem with `target` and `params`, as MozValidationErrors, in
+ * schema order. `options.partial` skips the target and required params,
+ * for params still being built. `options.flags` replaces the bit flag
+ * tables cols are checked against.
+ */
+function check(schema, target, params = {}, options = {}) {
+  var rules = schema.params || {};
+  var flags = options.flags || bitFlags;
+  var problems = [];
+  var invalid = {};
+
+  Object.keys(params).forEach(function checkKnown(key) {
+    if (!utils.hasProperty(rules, key)) {
+      problems.push(problem('Unrecognized parameter: ' + key, key, params[key]));
+    }
+  });
+
+  Object.keys(rules).forEach(function checkRule(key) {
+    var value = params[key];
+    var found;
+
+    if (isAbsent(value)) {
+      if (rules[key].required && !options.partial) {
+        problems.push(problem(key + ' not present!', key, value));
+      }
+      return;
+    }
+
+    found = checkParam(value, rules[key], key, flags);
+    if (found.length) invalid[key] = true;
+    problems.push(...found);
+  });
+
+  (schema.rules || []).forEach(function checkCrossRule(rule) {
+    if (rule.type !== 'mapping' || invalid[rule.field] || invalid[rule.dependent]) return;
+
+    problems.push(...checkMapping(rule, params));
+  });
+
+  if (schema.target && !options.partial) {
+    problems.push(...checkTarget(target, schema.target));
+  }
+
+  return problems;
+}
+
+/**
+ * Like `check()` but throws. A single problem is thrown as is; several are
+ * thrown as one MozValidationError listing them all. Either way the
+ * problems are on its `errors`.
+ */
+function assert(schema, target, params, options) {
+  var problems = check(schema, target, params, options);
+  var error;
+
+  if (!problems.length) return true;
+
+  if (problems.length === 1) {
+    error = problems[0];
+  } else {
+    error = new errors.MozValidationError(
+      problems.length + ' invalid params: ' + problems.map(function messageOf(item) {
+        return item.message;
+      }).join('; '),
+      problems[0].field,
+      problems[0].value
+    );
+  }
+
+  error.errors = problems;
+  throw error;
+}
+
+/**
+ * Params a schema accepts, with their defaults or null, as in
+ * `acceptedParams`.
+ */
+function defaults(schema) {
+  var result = {};
+
+  Object.keys(schema.params || {}).forEach(function addDefault(key) {
+    result[key] = schema.params[key].default === undefined ? null : schema.params[key].default;
+  });
+
+  return result;
+}
+
+/**
+ * The bit flag table of each `cols` param, as in `bitFlagsMapping`.
+ */
+function colFlags(schema) {
+  var result = {};
+
+  Object.keys(schema.params || {}).forEach(function addFlags(key) {
+    if (schema.params[key].type === 'cols') result[key] = schema.params[key].flags;
+  });
+
+  return result;
+}
+
+/**
+ * The allowed values of `param`, or an empty array.
+ */
+function values(schema, param) {
+  var rule = schema.params && schema.params[param];
+
+  return rule && rule.enum ? rule.enum : [];
+}
+
+/**
+ * The `mapping` of the first rule from `field` to `dependent`, or
+ * undefined.
+ */
+function mapping(schema, field, dependent) {
+  var rule = (schema.rules || []).find(function matches(candidate) {
+    return candidate.type === 'mapping' && candidate.field === field && candidate.dependent === dependent;
+  });
+
+  return rule ? rule.mapping : undefined;
+}
+
+module.exports = {
+  TYPES: TYPES,
+  check: check,
+  assert: assert,
+  defaults: defaults,
+  colFlags: colFlags,
+  values: values,
+  mapping: mapping
+};
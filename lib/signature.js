@@ -1,10 +1,12 @@
 'use strict';
 
-var crypto = require('crypto');
+var errors = require('./errors');
+var signers = require('./signers');
 
-function Signature(moz) {
+function Signature(moz, signer) {
   this._moz = moz;
   this._expires = 0;
+  this._signer = signers.create(signer);
 }
 
 Signature.prototype = {
@@ -16,19 +18,60 @@ Signature.prototype = {
     return this._expires;
   },
 
+  /**
+   * `threshold` seconds from now, by the skew corrected clock.
+   */
   expires(threshold) {
-    var expires = Math.floor((Date.now() / 1000)) + threshold;
+    var expires = this._moz.clock.seconds() + threshold;
     return expires;
   },
 
-  generate() {
+  /**
+   * A fresh expiry for the next signature. `getExpires()` returns the last
+   * one, which concurrent requests overwrite, so requests keep their own.
+   */
+  _nextExpires() {
     var expires = this.expires(this._moz._api.expiresThreshold);
-    var stringToSign = this._moz._api.accessId + '\n' + expires;
-    var signature = crypto.createHmac('sha1', this._moz._api.secretKey).update(stringToSign).digest('base64');
 
     this.setExpires(expires);
 
+    return expires;
+  },
+
+  _stringToSign(credentials, expires) {
+    return credentials.accessId + '\n' + expires;
+  },
+
+  /**
+   * Signs synchronously. Throws when the signer is asynchronous, as the
+   * WebCrypto one is; use `sign()` there. `credentials` default to the
+   * instance's access id and secret key, `expires` to a fresh expiry.
+   */
+  generate(credentials = this._moz._api, expires = this._nextExpires()) {
+    var stringToSign = this._stringToSign(credentials, expires);
+    var signature = this._signer.sign(credentials.secretKey, stringToSign);
+
+    if (signature && typeof signature.then === 'function') {
+      throw new errors.MozError('The signer is asynchronous, use signature.sign()');
+    }
+
     return encodeURIComponent(signature);
+  },
+
+  /**
+   * Like `generate()` but resolves, so it works with asynchronous signers.
+   */
+  sign(credentials = this._moz._api, expires = this._nextExpires()) {
+    var stringToSign = this._stringToSign(credentials, expires);
+    var signature;
+
+    try {
+      signature = this._signer.sign(credentials.secretKey, stringToSign);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve(signature).then(encodeURIComponent);
   }
 };
 
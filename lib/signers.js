@@ -0,0 +1,106 @@
+'use strict';
+
+/* eslint global-require: "off" */
+
+var errors = require('./errors');
+
+function nodeCrypto() {
+  try {
+    const nodeModule = require('crypto');
+    return nodeModule && typeof nodeModule.createHmac === 'function' ? nodeModule : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function subtleCrypto() {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  return crypto.subtle;
+}
+
+function toBase64(buffer) {
+  var bytes = new Uint8Array(buffer);
+  var binary = '';
+  var i;
+
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes).toString('base64');
+  }
+
+  for (i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * HMAC-SHA1 with Node's `crypto`. Signs synchronously.
+ */
+function NodeSigner() {
+  this._crypto = nodeCrypto();
+
+  if (!this._crypto) {
+    throw new errors.MozError('Node crypto is not available');
+  }
+}
+
+NodeSigner.prototype = {
+  sign(key, message) {
+    return this._crypto.createHmac('sha1', key).update(message).digest('base64');
+  }
+};
+
+/**
+ * HMAC-SHA1 with WebCrypto for browsers and edge runtimes. Signing
+ * resolves asynchronously.
+ */
+function WebCryptoSigner() {
+  this._subtle = subtleCrypto();
+
+  if (!this._subtle) {
+    throw new errors.MozError('WebCrypto is not available');
+  }
+}
+
+WebCryptoSigner.prototype = {
+  sign(key, message) {
+    var subtle = this._subtle;
+    var encoder = new TextEncoder();
+
+    return subtle.importKey('raw', encoder.encode(key), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign'])
+      .then(function signMessage(cryptoKey) {
+        return subtle.sign('HMAC', cryptoKey, encoder.encode(message));
+      })
+      .then(toBase64);
+  }
+};
+
+/**
+ * Resolves the `signer` option. A function is used as `sign(key, message)`
+ * and may return a promise. Without one, Node crypto is preferred and
+ * WebCrypto is the fallback.
+ */
+function create(signer) {
+  if (typeof signer === 'function') return { sign: signer };
+
+  if (signer && typeof signer.sign === 'function') return signer;
+
+  if (signer === 'node') return new NodeSigner();
+  if (signer === 'webcrypto') return new WebCryptoSigner();
+
+  if (signer) {
+    throw new errors.MozValidationError('Unknown signer: ' + signer, 'signer', signer);
+  }
+
+  if (nodeCrypto()) return new NodeSigner();
+  if (subtleCrypto()) return new WebCryptoSigner();
+
+  throw new errors.MozError('No HMAC-SHA1 implementation available, pass a signer');
+}
+
+module.exports = {
+  NodeSigner: NodeSigner,
+  WebCryptoSigner: WebCryptoSigner,
+  create: create
+};
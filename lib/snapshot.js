@@ -0,0 +1,202 @@
+'use strict';
+
+/* eslint global-require: "off", no-bitwise: "off" */
+
+var utils = require('./utils');
+var errors = require('./errors');
+
+Snapshot.FLAGS = {
+  nofollow: 1,
+  redirect301: 64,
+  redirect302: 128
+};
+
+/**
+ * Urls compare without their protocol, a leading `www.` or a trailing slash.
+ */
+function normalizeUrl(url) {
+  return String(url)
+    .trim()
+    .replace(/^[a-z]+:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
+
+function redirectOf(flags) {
+  if (flags & Snapshot.FLAGS.redirect301) return 301;
+  if (flags & Snapshot.FLAGS.redirect302) return 302;
+
+  return null;
+}
+
+/**
+ * A backlink row reduced to what the diff compares. The source url comes
+ * from the canonical url source column, the target url from the target
+ * one, falling back to the snapshot target.
+ */
+function entryOf(row, target) {
+  var flags = Number(row.lf) || 0;
+
+  return {
+    source: row.ur || row.uu || String(row.lsrc),
+    target: row.luur || row.luuu || target,
+    nofollow: Boolean(flags & Snapshot.FLAGS.nofollow),
+    redirect: redirectOf(flags),
+    flags: flags,
+    row: row
+  };
+}
+
+function keyOf(entry) {
+  return normalizeUrl(entry.source) + ' ' + normalizeUrl(entry.target);
+}
+
+function withCol(cols, col) {
+  if (cols == null) return [col];
+  if (!utils.isArray(cols) || utils.containsValue(cols, col)) return cols;
+
+  return cols.concat(col);
+}
+
+function withCanonicalUrl(cols) {
+  return withCol(cols, 'Canonical URL');
+}
+
+function withFlags(cols) {
+  return withCol(cols, 'Flags');
+}
+
+/**
+ * Every backlink of `target` at `takenAt`, as pulled by `links.snapshot()`.
+ * `rows` are raw links rows; `links` holds one entry per source and target
+ * url pair.
+ */
+function Snapshot(target, rows = [], options = {}) {
+  var seen = {};
+
+  if (!utils.isArray(rows)) {
+    throw new errors.MozValidationError('Snapshot rows must be an array', 'rows', rows);
+  }
+
+  this.target = target;
+  this.takenAt = options.takenAt == null ? new Date() : new Date(options.takenAt);
+  this.params = options.params || {};
+  this.links = [];
+
+  rows.forEach(function addRow(row) {
+    var entry = entryOf(row, target);
+    var key = keyOf(entry);
+
+    if (seen[key]) return;
+
+    seen[key] = true;
+    this.links.push(entry);
+  }, this);
+}
+
+Snapshot.prototype = {
+  _index() {
+    var index = {};
+
+    this.links.forEach(function addLink(entry) {
+      index[keyOf(entry)] = entry;
+    });
+
+    return index;
+  },
+
+  toJSON() {
+    return {
+      target: this.target,
+      takenAt: this.takenAt.toISOString(),
+      params: this.params,
+      rows: this.links.map(function rowOf(entry) {
+        return entry.row;
+      })
+    };
+  },
+
+  /**
+   * Writes the snapshot to `file` as JSON. Node only.
+   */
+  save(file) {
+    var fs = require('fs');
+
+    return fs.promises.writeFile(file, JSON.stringify(this.toJSON()) + '\n');
+  }
+};
+
+Snapshot.fromJSON = function fromJSON(json) {
+  var data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (!data || !utils.isArray(data.rows)) {
+    throw new errors.MozValidationError('Invalid snapshot', 'snapshot', json);
+  }
+
+  return new Snapshot(data.target, data.rows, { takenAt: data.takenAt, params: data.params });
+};
+
+/**
+ * Reads a snapshot written by `save()`. Node only.
+ */
+Snapshot.load = function load(file) {
+  var fs = require('fs');
+
+  return fs.promises.readFile(file, 'utf8').then(Snapshot.fromJSON);
+};
+
+/**
+ * Compares two snapshots by source url, target url and link flags.
+ * `added` and `lost` list links only one snapshot has; `changed` lists
+ * links whose follow or redirect status moved, with the names of what
+ * changed.
+ */
+Snapshot.diff = function diff(before, after) {
+  var previous = before._index();
+  var current = after._index();
+  var result = {
+    added: [],
+    lost: [],
+    changed: [],
+    unchanged: 0
+  };
+
+  Object.keys(current).forEach(function compare(key) {
+    var was = previous[key];
+    var now = current[key];
+    var changes = [];
+
+    if (!was) {
+      result.added.push(now);
+      return;
+    }
+
+    if (was.nofollow !== now.nofollow) changes.push('follow');
+    if (was.redirect !== now.redirect) changes.push('redirect');
+
+    if (changes.length) {
+      result.changed.push({
+        source: now.source,
+        target: now.target,
+        before: was,
+        after: now,
+        changes: changes
+      });
+    } else {
+      result.unchanged += 1;
+    }
+  });
+
+  Object.keys(previous).forEach(function findLost(key) {
+    if (!current[key]) result.lost.push(previous[key]);
+  });
+
+  return result;
+};
+
+Snapshot.normalizeUrl = normalizeUrl;
+Snapshot.withCanonicalUrl = withCanonicalUrl;
+Snapshot.withFlags = withFlags;
+
+module.exports = Snapshot;
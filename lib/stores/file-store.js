@@ -0,0 +1,77 @@
+'use strict';
+
+/* eslint global-require: "off" */
+
+/**
+ * Filesystem cache store writing one JSON file per entry into `dir`.
+ * Node only; `fs`, `path` and `crypto` are loaded when the store is created.
+ */
+function FileStore(options = {}) {
+  var os = require('os');
+
+  this._fs = require('fs');
+  this._path = require('path');
+  this._crypto = require('crypto');
+
+  this.dir = options.dir || this._path.join(os.tmpdir(), 'moz-api-cache');
+}
+
+FileStore.prototype = {
+  _file(key) {
+    var name = this._crypto.createHash('sha1').update(key).digest('hex');
+    return this._path.join(this.dir, name + '.json');
+  },
+
+  _call(method, ...args) {
+    var fs = this._fs;
+
+    return new Promise(function call(resolve, reject) {
+      fs[method].apply(fs, args.concat(function done(error, result) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      }));
+    });
+  },
+
+  get(key) {
+    return this._call('readFile', this._file(key), 'utf8').then(function parse(contents) {
+      return JSON.parse(contents);
+    }, function missing(error) {
+      if (error.code === 'ENOENT') return undefined;
+      throw error;
+    });
+  },
+
+  set(key, entry) {
+    var that = this;
+
+    return this._call('mkdir', this.dir, { recursive: true }).then(function write() {
+      return that._call('writeFile', that._file(key), JSON.stringify(entry));
+    });
+  },
+
+  delete(key) {
+    return this._call('unlink', this._file(key)).catch(function missing(error) {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  },
+
+  clear() {
+    var that = this;
+
+    return this._call('readdir', this.dir).then(function removeAll(files) {
+      return Promise.all(files.filter(function isEntry(file) {
+        return /\.json$/.test(file);
+      }).map(function remove(file) {
+        return that._call('unlink', that._path.join(that.dir, file));
+      }));
+    }, function missing(error) {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+};
+
+module.exports = FileStore;
@@ -0,0 +1,48 @@
+'use strict';
+
+MemoryStore.DEFAULT_MAX = 500;
+
+/**
+ * Least recently used in-memory cache store. Holds at most `max` entries.
+ */
+function MemoryStore(options = {}) {
+  this.max = options.max || MemoryStore.DEFAULT_MAX;
+  this._entries = new Map();
+}
+
+MemoryStore.prototype = {
+  get(key) {
+    var entry;
+
+    if (!this._entries.has(key)) return undefined;
+
+    entry = this._entries.get(key);
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    return entry;
+  },
+
+  set(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+
+    while (this._entries.size > this.max) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  },
+
+  delete(key) {
+    this._entries.delete(key);
+  },
+
+  clear() {
+    this._entries.clear();
+  },
+
+  get size() {
+    return this._entries.size;
+  }
+};
+
+module.exports = MemoryStore;
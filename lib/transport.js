@@ -0,0 +1,29 @@
+'use strict';
+
+var errors = require('./errors');
+var AxiosTransport = require('./transports/axios-transport');
+var FetchTransport = require('./transports/fetch-transport');
+var FunctionTransport = require('./transports/function-transport');
+
+/**
+ * Resolves the `transport` option. Transports take
+ * `{ method, url, data, headers, auth }` and resolve with
+ * `{ status, statusText, headers, data }`. Failures reject with an error
+ * carrying `request` and, when the api answered, `response`, the same shape
+ * axios uses, so retries and error translation work with every transport.
+ */
+function create(transport) {
+  if (!transport || transport === 'axios') return new AxiosTransport();
+  if (transport === 'fetch') return new FetchTransport();
+  if (typeof transport === 'function') return new FunctionTransport(transport);
+  if (typeof transport.request === 'function') return transport;
+
+  throw new errors.MozValidationError('Unknown transport: ' + transport, 'transport', transport);
+}
+
+module.exports = {
+  AxiosTransport: AxiosTransport,
+  FetchTransport: FetchTransport,
+  FunctionTransport: FunctionTransport,
+  create: create
+};
@@ -0,0 +1,26 @@
+'use strict';
+
+var axios = require('axios');
+
+/**
+ * Sends requests with axios, the default transport. Pass `options.axios`
+ * to use a configured instance.
+ */
+function AxiosTransport(options = {}) {
+  this.axios = options.axios || axios;
+}
+
+AxiosTransport.prototype = {
+  request(config) {
+    return this.axios.request({
+      method: config.method,
+      url: config.url,
+      data: config.data,
+      headers: config.headers,
+      auth: config.auth,
+      proxy: config.proxy
+    });
+  }
+};
+
+module.exports = AxiosTransport;
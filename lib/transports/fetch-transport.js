@@ -0,0 +1,81 @@
+'use strict';
+
+var utils = require('../utils');
+var errors = require('../errors');
+var httpError = require('./http-error');
+
+function parseBody(text) {
+  if (!text) return text;
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+function headersObject(headers) {
+  var result = {};
+
+  headers.forEach(function copy(value, key) {
+    result[key.toLowerCase()] = value;
+  });
+
+  return result;
+}
+
+/**
+ * Sends requests with the WHATWG `fetch`, for browsers and edge runtimes.
+ * Pass `options.fetch` to use another implementation.
+ */
+function FetchTransport(options = {}) {
+  this._fetch = options.fetch || (typeof fetch === 'function' ? fetch : null);
+
+  if (!this._fetch) {
+    throw new errors.MozError('fetch is not available, pass options.fetch');
+  }
+}
+
+FetchTransport.prototype = {
+  request(config) {
+    var headers = Object.assign({ Accept: 'application/json' }, config.headers);
+    var init = { method: config.method.toUpperCase(), headers: headers };
+
+    if (config.proxy) {
+      return Promise.reject(new errors.MozError('The fetch transport does not support proxies'));
+    }
+
+    if (config.auth) {
+      headers.Authorization = utils.basicAuth(config.auth);
+    }
+
+    if (config.data !== undefined) {
+      init.body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+    }
+
+    return this._fetch.call(null, config.url, init)
+      .catch(function networkError(error) {
+        throw httpError(error.message, config);
+      })
+      .then(function readBody(res) {
+        return res.text().then(function toResponse(text) {
+          var response = {
+            status: res.status,
+            statusText: res.statusText,
+            headers: headersObject(res.headers),
+            data: parseBody(text),
+            config: config
+          };
+
+          if (!res.ok) {
+            throw httpError('Request failed with status code ' + res.status, config, response);
+          }
+
+          return response;
+        });
+      });
+  }
+};
+
+module.exports = FetchTransport;
@@ -0,0 +1,29 @@
+'use strict';
+
+var httpError = require('./http-error');
+
+/**
+ * Wraps a user supplied `send(config)` function. It resolves with
+ * `{ status, headers, data }`; error statuses are turned into rejections.
+ */
+function FunctionTransport(send) {
+  this._send = send;
+}
+
+FunctionTransport.prototype = {
+  request(config) {
+    return Promise.resolve(config)
+      .then(this._send)
+      .then(function checkStatus(result) {
+        var response = Object.assign({ statusText: '', headers: {} }, result, { config: config });
+
+        if (response.status >= 400) {
+          throw httpError('Request failed with status code ' + response.status, config, response);
+        }
+
+        return response;
+      });
+  }
+};
+
+module.exports = FunctionTransport;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Builds the error a transport rejects with. `response` is left out for
+ * failures that never got one.
+ */
+module.exports = function httpError(message, request, response) {
+  var error = new Error(message);
+
+  error.request = request;
+  if (response) error.response = response;
+
+  return error;
+};
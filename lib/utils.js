@@ -3,6 +3,14 @@
 const hasOwn = {}.hasOwnProperty;
 
 module.exports = {
+  /**
+   * The default `warn` option.
+   */
+  warn(message) {
+    // eslint-disable-next-line no-console
+    console.warn(message);
+  },
+
   toTitleCase(text) {
     return text.replace(/\w\S*/g, function titleCase(txt) {
       return txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase();
@@ -50,6 +58,66 @@ module.exports = {
     return false;
   },
 
+  chunk(array, size) {
+    var chunks = [];
+    var i;
+
+    for (i = 0; i < array.length; i += size) {
+      chunks.push(array.slice(i, i + size));
+    }
+
+    return chunks;
+  },
+
+  /**
+   * Maps `items` through the promise returning `fn` with at most `limit`
+   * calls in flight. Results keep the input order. Rejects on the first
+   * failure without starting further calls.
+   */
+  mapLimit(items, limit, fn) {
+    var results = new Array(items.length);
+    var workers = [];
+    var next = 0;
+    var failed = false;
+    var i;
+
+    function worker() {
+      var index = next;
+
+      if (failed || index >= items.length) return Promise.resolve();
+      next += 1;
+
+      return Promise.resolve(fn(items[index], index)).then(function store(result) {
+        results[index] = result;
+        return worker();
+      }, function fail(error) {
+        failed = true;
+        throw error;
+      });
+    }
+
+    for (i = 0; i < Math.min(limit, items.length); i++) {
+      workers.push(worker());
+    }
+
+    return Promise.all(workers).then(function done() {
+      return results;
+    });
+  },
+
+  /**
+   * Authorization header value for HTTP Basic auth.
+   */
+  basicAuth(auth) {
+    var credentials = auth.username + ':' + auth.password;
+
+    if (typeof Buffer !== 'undefined') {
+      return 'Basic ' + Buffer.from(credentials).toString('base64');
+    }
+
+    return 'Basic ' + btoa(credentials);
+  },
+
   /**
    * Provide simple "Class" extension mechanism
    */
@@ -0,0 +1,3 @@
+import { MockServer } from './index';
+
+export = MockServer;
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Generates types/generated.d.ts from the runtime tables: column names from
+ * lib/bit-flags.js, scopes/sorts/filters from the endpoint prototypes and
+ * row shapes from lib/definitions.js. The test suite fails when the checked
+ * in file differs from the output of this script.
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var bitFlags = require('../lib/bit-flags');
+var decoder = require('../lib/decoder');
+var endpoints = require('../lib/endpoints');
+var endpointsV2 = require('../lib/endpoints-v2');
+
+var OUTPUT = path.join(__dirname, '..', 'types', 'generated.d.ts');
+
+var TS_TYPES = {
+  number: 'number',
+  string: 'string',
+  date: 'Date | null'
+};
+
+function union(values) {
+  if (!values.length) return 'never';
+
+  return values.map(function quote(value) {
+    return JSON.stringify(String(value));
+  }).join('\n  | ');
+}
+
+function typeAlias(name, values) {
+  return 'export type ' + name + ' =\n  | ' + union(values) + ';\n';
+}
+
+function comment(text) {
+  return '  /** ' + text.replace(/\*\//g, '*\\/') + ' */\n';
+}
+
+function rowInterface(name, property, type) {
+  var body = Object.keys(decoder.schema).map(function field(key) {
+    var entry = decoder.schema[key];
+    return comment(entry.description) + '  ' + property(entry) + '?: ' + type(entry) + ';\n';
+  }).join('');
+
+  return 'export interface ' + name + ' {\n' + body + '  [key: string]: unknown;\n}\n';
+}
+
+function endpointUnions(prefix, Endpoint) {
+  var proto = Endpoint.prototype;
+  var output = [];
+
+  [['Scope', 'scopes'], ['Sort', 'sorting'], ['Filter', 'filters']].forEach(function add(pair) {
+    if (proto[pair[1]] && proto[pair[1]].length) {
+      output.push(typeAlias(prefix + pair[0], proto[pair[1]]));
+    }
+  });
+
+  return output;
+}
+
+function generate() {
+  var sections = [
+    '// Generated by scripts/generate-types.js. Do not edit by hand.\n',
+    typeAlias('UrlMetricsCol', Object.keys(bitFlags['url-metrics'])),
+    typeAlias('AnchorTextCol', Object.keys(bitFlags['anchor-text'])),
+    typeAlias('LinksCol', Object.keys(bitFlags.links)),
+    typeAlias('DeprecatedCol', bitFlags.deprecated)
+  ];
+
+  Object.keys(endpoints).forEach(function addEndpoint(name) {
+    sections = sections.concat(endpointUnions(name, endpoints[name]));
+  });
+
+  sections.push(typeAlias('V2Scope', endpointsV2.Links.prototype.scopes));
+
+  sections.push(rowInterface('RawRow', function key(entry) {
+    return entry.key;
+  }, function type(entry) {
+    return entry.type === 'date' ? 'number' : TS_TYPES[entry.type];
+  }));
+
+  sections.push(rowInterface('DecodedRow', function property(entry) {
+    return entry.property;
+  }, function type(entry) {
+    return TS_TYPES[entry.type];
+  }));
+
+  return sections.join('\n');
+}
+
+module.exports = {
+  OUTPUT: OUTPUT,
+  generate: generate
+};
+
+if (require.main === module) {
+  fs.writeFileSync(OUTPUT, generate());
+}
@@ -0,0 +1,524 @@
+// Generated by scripts/generate-types.js. Do not edit by hand.
+
+export type UrlMetricsCol =
+  | "Title"
+  | "Canonical URL"
+  | "Subdomain"
+  | "Root Domain"
+  | "External Equity Links"
+  | "Subdomain External Links"
+  | "Root Domain External Links"
+  | "Equity Links"
+  | "Subdomains Linking"
+  | "Root Domains Linking"
+  | "Links"
+  | "Subdomain, Subdomains Linking"
+  | "Root Domain, Root Domains Linking"
+  | "MozRank: URL"
+  | "MozRank: Subdomain"
+  | "MozRank: Root Domain"
+  | "MozTrust"
+  | "MozTrust: Subdomain"
+  | "MozTrust: Root Domain"
+  | "MozRank: External Equity"
+  | "MozRank: Subdomain, External Equity"
+  | "MozRank: Root Domain, External Equity"
+  | "MozRank: Subdomain Combined"
+  | "MozRank: Root Domain Combined"
+  | "Subdomain Spam Score"
+  | "HTTP Status Code"
+  | "Links to Subdomain"
+  | "Links to Root Domain"
+  | "Root Domains Linking to Subdomain"
+  | "Page Authority"
+  | "Domain Authority"
+  | "External links"
+  | "External links to subdomain"
+  | "External links to root domain"
+  | "Linking C Blocks"
+  | "Time last crawled";
+
+export type AnchorTextCol =
+  | "Term or Phrase"
+  | "External Pages Linking"
+  | "External Subdomains Linking"
+  | "External Root Domains Linking"
+  | "External MozRank Passed";
+
+export type LinksCol =
+  | "Null"
+  | "Flags"
+  | "Anchor Text"
+  | "Normlized & Anchor Text";
+
+export type DeprecatedCol =
+  | "MozRank: URL"
+  | "MozRank: Subdomain"
+  | "MozTrust"
+  | "MozTrust: Subdomain"
+  | "MozTrust: Root Domain"
+  | "MozRank: External Equity"
+  | "MozRank: Subdomain, External Equity"
+  | "MozRank: Root Domain, External Equity"
+  | "MozRank: Subdomain Combined"
+  | "MozRank: Root Domain Combined";
+
+export type AnchorTextScope =
+  | "phrase_to_page"
+  | "phrase_to_subdomain"
+  | "phrase_to_domain"
+  | "term_to_page"
+  | "term_to_subdomain"
+  | "term_to_domain";
+
+export type AnchorTextFilter =
+  | "external";
+
+export type LinksScope =
+  | "page_to_page"
+  | "page_to_subdomain"
+  | "page_to_domain"
+  | "subdomain_to_page"
+  | "subdomain_to_subdomain"
+  | "subdomain_to_domain"
+  | "domain_to_page"
+  | "domain_to_subdomain"
+  | "domain_to_domain";
+
+export type LinksSort =
+  | "page_authority"
+  | "domain_authority"
+  | "domains_linking_domain"
+  | "domains_linking_page"
+  | "spam_score";
+
+export type LinksFilter =
+  | "external"
+  | "follow"
+  | "nofollow"
+  | "nonequity"
+  | "equity"
+  | "rel_canonical"
+  | "301"
+  | "302";
+
+export type TopPagesSort =
+  | "page_authority"
+  | "domains_linking_page";
+
+export type TopPagesFilter =
+  | "all"
+  | "status200"
+  | "status301"
+  | "status302"
+  | "status4xx"
+  | "status5xx";
+
+export type V2Scope =
+  | "page"
+  | "subdomain"
+  | "root_domain";
+
+export interface RawRow {
+  /** Returns phrases found in links to the target URL */
+  apu?: string;
+  /** Returns phrases found in links to the subdomain of the target URL */
+  apf?: string;
+  /** Returns phrases found in links to the root domain of the target URL */
+  app?: string;
+  /** Returns terms found in links to the target URL */
+  atu?: string;
+  /** Returns terms found in links to the subdomain of the target URL */
+  atf?: string;
+  /** Returns terms found in links to the root domain of the target URL */
+  atp?: string;
+  /** The number of external pages linking to the target URL containing this term or phrase */
+  eu?: number;
+  /** The number of external subdomains with at least one link to the target URL containing this term or phrase */
+  ef?: number;
+  /** The number of external root domains with at least one link to the target URL containing this term or phrase */
+  ep?: number;
+  /** The amount of MozRank passed over all external links with this term or phrase (on a normalized 10-point scale) */
+  emp?: number;
+  /** Spam score for the page's subdomain. */
+  fspsc?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the subdomain of the target URL */
+  ftrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the subdomain of the target URL */
+  ftrr?: number;
+  /** The number of internal and external, equity and non-equity links to the subdomain of the target URL */
+  fuid?: number;
+  /** Internal ID of the link */
+  lrid?: number;
+  /** Internal ID of the source URL */
+  lsrc?: number;
+  /** Internal ID of the target URL */
+  ltgt?: number;
+  /** The number of external (from other subdomains), equity links to pages on the target URLs subdomain */
+  lufeid?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank from external links on all pages of the subdomain of the target URL */
+  lufejp?: number;
+  /** The raw (linearly-scaled) sum of MozRank from external links on all pages of the subdomain of the target URL */
+  lufejr?: number;
+  /** The number of domains with at least one link to any page on the subdomain of the target URL */
+  lufid?: number;
+  /** The number of domains with at least one link to any page on the subdomain of the target URL */
+  lufipl?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank of all the pages of the subdomain of the target URL */
+  lufjp?: number;
+  /** The raw (linearly-scaled) sum of the MozRank of all the pages of the subdomain of the target URL */
+  lufjr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozRank of the subdomain of the target URL */
+  lufmrp?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the subdomain of the target URL */
+  lufmrr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozTrust of the subdomain of the target URL */
+  luftrp?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozTrust of the subdomain of the target URL */
+  luftrr?: number;
+  /** The number of internal and external equity and non-equity links to the subdomain of the target URL */
+  lufuid?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) domain authority of the target URL's paid-level domain */
+  lupda?: number;
+  /** The raw (zero to one, linearly-scaled) domain authority of the target URL's paid-level domain */
+  lupdar?: number;
+  /** The number of external equity links from other root domains to pages on the target URL's root domain */
+  lupeid?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank gained from external links on all pages of the paid-level domain of the target URL */
+  lupejp?: number;
+  /** The raw (linearly-scaled) sum of MozRank gained from external links on all pages of the paid-level domain of the target URL */
+  lupejr?: number;
+  /** The number of domains with at least one link to any page on the paid-level domain of the target URL */
+  lupid?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank gained from all pages on the paid-level domain of the target URL */
+  lupjp?: number;
+  /** The raw (linearly-scaled) sum of MozRank gained from all pages on the paid-level domain of the target URL */
+  lupjr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozRank of the paid-level domain of the target URL */
+  lupmrp?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the paid-level domain of the target URL */
+  lupmrr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozTrust of the paid-level domain of the target URL */
+  luptrp?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozTrust of the paid-level domain of the target URL */
+  luptrr?: number;
+  /** The number of internal and external, equity and non-equity links to the root domain of the target URL */
+  lupuid?: number;
+  /** The number of external (from other subdomains) equity links to the target URL */
+  luueid?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank gained from external links of the target URL */
+  luuemrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL gained from external links */
+  luuemrr?: number;
+  /** The fully-qualified domain name ('subdomain') */
+  luufq?: string;
+  /** The number of internal and external equity and non-equity links to the target URL */
+  luuid?: number;
+  /** The number of subdomains with at least one link to the target URL */
+  luuifq?: number;
+  /** The number of paid-level domains with at least one link to the target URL */
+  luuipl?: number;
+  /** The number of equity links (internal or external) to the target URL */
+  luujid?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL */
+  luumrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL */
+  luumrr?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) page authority of the target URL */
+  luupa?: number;
+  /** The raw (zero to one, linearly-scaled) page authority of the target URL */
+  luupar?: number;
+  /** The paid-level domain name */
+  luupl?: string;
+  /** Internal ID of the canonical URL */
+  luurrid?: number;
+  /** HTTP status of the target URL */
+  luus?: number;
+  /** The title of the target URL, if available */
+  luut?: string;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the target URL */
+  luutrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the target URL */
+  luutrr?: number;
+  /** The canonical form of the target URL */
+  luuu?: string;
+  /** The normalized (zero to one hundred, logarithmically-scaled) domain authority of the source URL's paid-level domain */
+  pda?: number;
+  /** The raw (zero to one, linearly-scaled) domain authority of the source URL's paid-level domain */
+  pdar?: number;
+  /** the number of external equity links to pages on the source URL's root domain */
+  peid?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank gained from external links on all pages in the paid-level domain of the source URL */
+  pejp?: number;
+  /** The raw (linearly-scaled) sum of the MozRank gained from external links on all pages in the paid-level domain of the source URL */
+  pejr?: number;
+  /** The number of domains with at least one link to any page on the paid-level domain of the source URL */
+  pid?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank of all pages in the paid-level domain of the source URL */
+  pjp?: number;
+  /** The raw (linearly-scaled) sum of the MozRank of all the pages in the paid-level domain of the source URL */
+  pjr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the paid-level domain of the source URL */
+  pmrp?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the paid-level domain of the source URL */
+  pmrr?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the paid-level domain of the source URL */
+  ptrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the paid-level domain of the source URL */
+  ptrr?: number;
+  /** The number of internal and external equity and non-equity links to the root domain of the source URL */
+  puid?: number;
+  /** The anchor text term or phrase */
+  t?: string;
+  /** The number of external links to the target URL, including nofollowed links */
+  ued?: number;
+  /** The number of external, equity links to the target URL */
+  ueid?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL gained from external links */
+  uemrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL gained from external links */
+  uemrr?: number;
+  /** The fully qualified domain (subdomain) name */
+  ufq?: string;
+  /** The number of internal and external equity and non-equity links to the target URL */
+  uid?: number;
+  /** The number of subdomains with at least one link to the target URL */
+  uifq?: number;
+  /** The number of paid-level domains with at least one link to the target URL */
+  uipl?: number;
+  /** The number of equity links, internal or external, to the target URL */
+  ujid?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL */
+  umrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL */
+  umrr?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) page authority of the target URL */
+  upa?: number;
+  /** The raw (zero to one, linearly-scaled) page authority of the target URL */
+  upar?: number;
+  /** The paid-level domain name */
+  upl?: string;
+  /** The canonical target URL, if there are any canonicalization tags on the URL (for example, a 301 redirect). */
+  ur?: string;
+  /** Internal ID of the URL */
+  urid?: number;
+  /** Internal ID of the canonical URL */
+  urrid?: number;
+  /** The HTTP status of the target URL */
+  us?: number;
+  /** The protocols Moz Links encountered for the target URL, and whether a canonical tag indicates a specific protocol */
+  usch?: string;
+  /** The title of the target URL, if a title is available */
+  ut?: string;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the target URL */
+  utrp?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the target URL */
+  utrr?: number;
+  /** The canonical form of the source URL (OR, for url-metrics calls, the canonical form of the target URL) */
+  uu?: string;
+  /** The time and date on which we last crawled the URL, returned in Unix epoch format */
+  ulc?: number;
+  [key: string]: unknown;
+}
+
+export interface DecodedRow {
+  /** Returns phrases found in links to the target URL */
+  phrasesToPage?: string;
+  /** Returns phrases found in links to the subdomain of the target URL */
+  phrasesToSubdomain?: string;
+  /** Returns phrases found in links to the root domain of the target URL */
+  phrasesToRootDomain?: string;
+  /** Returns terms found in links to the target URL */
+  termsToPage?: string;
+  /** Returns terms found in links to the subdomain of the target URL */
+  termsToSubdomain?: string;
+  /** Returns terms found in links to the root domain of the target URL */
+  termsToRootDomain?: string;
+  /** The number of external pages linking to the target URL containing this term or phrase */
+  externalPagesLinking?: number;
+  /** The number of external subdomains with at least one link to the target URL containing this term or phrase */
+  externalSubdomainsLinking?: number;
+  /** The number of external root domains with at least one link to the target URL containing this term or phrase */
+  externalRootDomainsLinking?: number;
+  /** The amount of MozRank passed over all external links with this term or phrase (on a normalized 10-point scale) */
+  externalMozRankPassed?: number;
+  /** Spam score for the page's subdomain. */
+  subdomainSpamScore?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the subdomain of the target URL */
+  subdomainMozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the subdomain of the target URL */
+  subdomainMozTrustRaw?: number;
+  /** The number of internal and external, equity and non-equity links to the subdomain of the target URL */
+  linksToSubdomain?: number;
+  /** Internal ID of the link */
+  linkId?: number;
+  /** Internal ID of the source URL */
+  sourceId?: number;
+  /** Internal ID of the target URL */
+  targetId?: number;
+  /** The number of external (from other subdomains), equity links to pages on the target URLs subdomain */
+  targetSubdomainExternalEquityLinks?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank from external links on all pages of the subdomain of the target URL */
+  targetSubdomainExternalMozRank?: number;
+  /** The raw (linearly-scaled) sum of MozRank from external links on all pages of the subdomain of the target URL */
+  targetSubdomainExternalMozRankRaw?: number;
+  /** The number of domains with at least one link to any page on the subdomain of the target URL */
+  targetRootDomainsLinkingToSubdomain?: number;
+  /** The number of domains with at least one link to any page on the subdomain of the target URL */
+  targetPaidLevelDomainsLinkingToSubdomain?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank of all the pages of the subdomain of the target URL */
+  targetSubdomainMozRankSum?: number;
+  /** The raw (linearly-scaled) sum of the MozRank of all the pages of the subdomain of the target URL */
+  targetSubdomainMozRankSumRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozRank of the subdomain of the target URL */
+  targetSubdomainMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the subdomain of the target URL */
+  targetSubdomainMozRankRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozTrust of the subdomain of the target URL */
+  targetSubdomainMozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozTrust of the subdomain of the target URL */
+  targetSubdomainMozTrustRaw?: number;
+  /** The number of internal and external equity and non-equity links to the subdomain of the target URL */
+  targetLinksToSubdomain?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) domain authority of the target URL's paid-level domain */
+  targetDomainAuthority?: number;
+  /** The raw (zero to one, linearly-scaled) domain authority of the target URL's paid-level domain */
+  targetDomainAuthorityRaw?: number;
+  /** The number of external equity links from other root domains to pages on the target URL's root domain */
+  targetRootDomainExternalEquityLinks?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank gained from external links on all pages of the paid-level domain of the target URL */
+  targetRootDomainExternalMozRank?: number;
+  /** The raw (linearly-scaled) sum of MozRank gained from external links on all pages of the paid-level domain of the target URL */
+  targetRootDomainExternalMozRankRaw?: number;
+  /** The number of domains with at least one link to any page on the paid-level domain of the target URL */
+  targetRootDomainsLinkingToRootDomain?: number;
+  /** The normalized (logarithmically-scaled) sum of MozRank gained from all pages on the paid-level domain of the target URL */
+  targetRootDomainMozRankSum?: number;
+  /** The raw (linearly-scaled) sum of MozRank gained from all pages on the paid-level domain of the target URL */
+  targetRootDomainMozRankSumRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozRank of the paid-level domain of the target URL */
+  targetRootDomainMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the paid-level domain of the target URL */
+  targetRootDomainMozRankRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) measure of the MozTrust of the paid-level domain of the target URL */
+  targetRootDomainMozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozTrust of the paid-level domain of the target URL */
+  targetRootDomainMozTrustRaw?: number;
+  /** The number of internal and external, equity and non-equity links to the root domain of the target URL */
+  targetLinksToRootDomain?: number;
+  /** The number of external (from other subdomains) equity links to the target URL */
+  targetExternalEquityLinks?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank gained from external links of the target URL */
+  targetExternalMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL gained from external links */
+  targetExternalMozRankRaw?: number;
+  /** The fully-qualified domain name ('subdomain') */
+  targetSubdomain?: string;
+  /** The number of internal and external equity and non-equity links to the target URL */
+  targetLinks?: number;
+  /** The number of subdomains with at least one link to the target URL */
+  targetSubdomainsLinking?: number;
+  /** The number of paid-level domains with at least one link to the target URL */
+  targetRootDomainsLinking?: number;
+  /** The number of equity links (internal or external) to the target URL */
+  targetEquityLinks?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL */
+  targetMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL */
+  targetMozRankRaw?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) page authority of the target URL */
+  targetPageAuthority?: number;
+  /** The raw (zero to one, linearly-scaled) page authority of the target URL */
+  targetPageAuthorityRaw?: number;
+  /** The paid-level domain name */
+  targetRootDomain?: string;
+  /** Internal ID of the canonical URL */
+  targetCanonicalUrlId?: number;
+  /** HTTP status of the target URL */
+  targetHttpStatusCode?: number;
+  /** The title of the target URL, if available */
+  targetTitle?: string;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the target URL */
+  targetMozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the target URL */
+  targetMozTrustRaw?: number;
+  /** The canonical form of the target URL */
+  targetUrl?: string;
+  /** The normalized (zero to one hundred, logarithmically-scaled) domain authority of the source URL's paid-level domain */
+  domainAuthority?: number;
+  /** The raw (zero to one, linearly-scaled) domain authority of the source URL's paid-level domain */
+  domainAuthorityRaw?: number;
+  /** the number of external equity links to pages on the source URL's root domain */
+  rootDomainExternalEquityLinks?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank gained from external links on all pages in the paid-level domain of the source URL */
+  rootDomainExternalMozRank?: number;
+  /** The raw (linearly-scaled) sum of the MozRank gained from external links on all pages in the paid-level domain of the source URL */
+  rootDomainExternalMozRankRaw?: number;
+  /** The number of domains with at least one link to any page on the paid-level domain of the source URL */
+  rootDomainsLinkingToRootDomain?: number;
+  /** The normalized (logarithmically-scaled) sum of the MozRank of all pages in the paid-level domain of the source URL */
+  rootDomainMozRankSum?: number;
+  /** The raw (linearly-scaled) sum of the MozRank of all the pages in the paid-level domain of the source URL */
+  rootDomainMozRankSumRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the paid-level domain of the source URL */
+  rootDomainMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) measure of the MozRank of the paid-level domain of the source URL */
+  rootDomainMozRankRaw?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the paid-level domain of the source URL */
+  rootDomainMozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the paid-level domain of the source URL */
+  rootDomainMozTrustRaw?: number;
+  /** The number of internal and external equity and non-equity links to the root domain of the source URL */
+  linksToRootDomain?: number;
+  /** The anchor text term or phrase */
+  anchorText?: string;
+  /** The number of external links to the target URL, including nofollowed links */
+  externalLinks?: number;
+  /** The number of external, equity links to the target URL */
+  externalEquityLinks?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL gained from external links */
+  externalMozRank?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL gained from external links */
+  externalMozRankRaw?: number;
+  /** The fully qualified domain (subdomain) name */
+  subdomain?: string;
+  /** The number of internal and external equity and non-equity links to the target URL */
+  links?: number;
+  /** The number of subdomains with at least one link to the target URL */
+  subdomainsLinking?: number;
+  /** The number of paid-level domains with at least one link to the target URL */
+  rootDomainsLinking?: number;
+  /** The number of equity links, internal or external, to the target URL */
+  equityLinks?: number;
+  /** The normalized (ten-point, logarithmically-scaled) MozRank of the target URL */
+  mozRank?: number;
+  /** The raw (zero to one, linearly-scaled) MozRank of the target URL */
+  mozRankRaw?: number;
+  /** The normalized (zero to one hundred, logarithmically-scaled) page authority of the target URL */
+  pageAuthority?: number;
+  /** The raw (zero to one, linearly-scaled) page authority of the target URL */
+  pageAuthorityRaw?: number;
+  /** The paid-level domain name */
+  rootDomain?: string;
+  /** The canonical target URL, if there are any canonicalization tags on the URL (for example, a 301 redirect). */
+  canonicalUrl?: string;
+  /** Internal ID of the URL */
+  urlId?: number;
+  /** Internal ID of the canonical URL */
+  canonicalUrlId?: number;
+  /** The HTTP status of the target URL */
+  httpStatusCode?: number;
+  /** The protocols Moz Links encountered for the target URL, and whether a canonical tag indicates a specific protocol */
+  protocols?: string;
+  /** The title of the target URL, if a title is available */
+  title?: string;
+  /** The normalized (ten-point, logarithmically-scaled) MozTrust of the target URL */
+  mozTrust?: number;
+  /** The raw (zero to one, linearly-scaled) MozTrust of the target URL */
+  mozTrustRaw?: number;
+  /** The canonical form of the source URL (OR, for url-metrics calls, the canonical form of the target URL) */
+  url?: string;
+  /** The time and date on which we last crawled the URL, returned in Unix epoch format */
+  timeLastCrawled?: Date | null;
+  [key: string]: unknown;
+}
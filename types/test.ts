@@ -0,0 +1,144 @@
+// Compiled with `npm run typecheck`; never executed.
+import Moz, { DecodedRow, FetchTransport, MozRateLimitError, MozValidationError, RawRow } from '..';
+import MockServer = require('../mock-server');
+
+async function check(): Promise<void> {
+  const moz = new Moz({ accessId: 'id', secretKey: 'secret', rateLimit: 'free', cache: true });
+  const edge = new Moz({ accessId: 'id', secretKey: 'secret', transport: 'fetch', signer: 'webcrypto' });
+  const signature: Promise<string> = edge.signature.sign();
+  const signed: string = moz.signature.generate(undefined, 1561939500);
+  edge.setTransport((config) => ({ status: 200, data: config.url }));
+  edge.setTransport(new FetchTransport({
+    fetch: async (url) => ({ ok: true, status: 200, statusText: 'OK', headers: new Map<string, string>(), text: async () => url })
+  }));
+
+  const local = new Moz({ accessId: 'id', secretKey: 'secret', protocol: 'http', host: 'localhost', port: 8080, basePath: '/moz' });
+  local.setProxy('http://proxy.local:3128');
+  local.setServer({ host: 'eu.example.com' });
+
+  const server = await new MockServer({ accessId: 'id', secretKey: 'secret' }).listen();
+  const mocked = new Moz({ accessId: 'id', secretKey: 'secret', ...server.clientOptions() });
+  server.fail(429, { retryAfter: 1, endpoint: 'links' });
+  await mocked.links.fetch('moz.com');
+  await server.close();
+
+  const replayed = new Moz({ accessId: 'id', secretKey: 'secret', fixtures: { mode: 'replay', dir: 'fixtures' } });
+  const fromFixture: boolean | undefined = (await replayed.urlMetrics.fetch('moz.com')).fromFixture;
+  replayed.setFixtures({ mode: 'record' });
+  replayed.setFixtures(false);
+
+  const built = moz.links.buildRedactedRequest('moz.com', { scope: 'page_to_page', sourceCols: ['Title'] });
+  const expires: number | null = built.expires;
+  const names: string[] = moz.urlMetrics.buildRequest(['moz.com'], { cols: ['Title'] }).cols['cols'];
+  // @ts-expect-error unknown scope
+  moz.links.buildRequest('moz.com', { scope: 'nowhere' });
+
+  const warnings: string[] = [];
+  const skewed = new Moz({ accessId: 'id', secretKey: 'secret', clock: { threshold: 30, warn: (message) => warnings.push(message) } });
+  skewed.clock.setOffset(-12);
+  skewed.setClock({ offset: 5 });
+  const offset: number = skewed.clock.offset;
+
+  const pooled = new Moz({
+    credentials: [{ accessId: 'a', secretKey: 'x', name: 'client a' }, { accessId: 'b', secretKey: 'y' }],
+    rotation: { strategy: 'failover', cooldown: 30000 }
+  });
+  await pooled.links.fetch('moz.com', {}, { credentials: { accessId: 'tenant', secretKey: 'z' } });
+  const uses: number = pooled.credentials!.summary()[0].uses;
+  // @ts-expect-error credentials or an access id are required
+  new Moz({ secretKey: 'secret' });
+
+  const exported: number = (await moz.exportRows(moz.links.iterate('moz.com', { limit: 50 }), 'links.csv')).rows;
+  await moz.exportRows(await moz.urlMetrics.fetch(['moz.com']), 'metrics.ndjson', { columns: ['uu', 'upa'], headers: 'keys' });
+  // @ts-expect-error unsupported format
+  moz.exportRows([], 'out', { format: 'xlsx' });
+
+  const limitRule = Moz.schemas().links.params.limit;
+  const maxLimit: number | undefined = limitRule.max;
+  const problems: string[] = Moz.schema.check(moz.schemas().links, 'moz.com', { limit: 500 }).map((problem) => problem.message);
+  try {
+    moz.links.validate('moz.com', { limit: 500 });
+  } catch (error) {
+    const fields = (error as MozValidationError).errors!.map((problem) => problem.field);
+  }
+
+  const parsed = Moz.parseRequestUrl(moz.links.buildRedactedRequest('moz.com', { sort: 'spam_score' }).url);
+  const parsedEndpoint: string = parsed.endpoint;
+  await moz.links.fetch(parsed.target!, parsed.params);
+
+  const lastWeek = await Moz.Snapshot.load('moz.com-links.json');
+  const thisWeek = await moz.links.snapshot('moz.com', { scope: 'page_to_page', filter: 'external' });
+  const diff = Moz.Snapshot.diff(lastWeek, thisWeek);
+  const lostSources: string[] = diff.lost.map((link) => link.source);
+  const flipped: boolean = diff.changed[0].changes.includes('follow') && diff.changed[0].after.nofollow;
+  await thisWeek.save('moz.com-links.json');
+
+  const budgeted = new Moz({ accessId: 'id', secretKey: 'secret', budget: { total: 10000, endpoints: { links: 2500 } } });
+  budgeted.setBudget(5000);
+  const remaining: number = budgeted.usage().endpoints['links'].remaining;
+  // @ts-expect-error unknown fixtures mode
+  replayed.setFixtures({ mode: 'live' });
+
+  const v2 = new Moz({ accessId: 'id', secretKey: 'secret', apiVersion: 2 });
+  v2.usageData.buildRequest({ start: '2019-01-01' });
+
+  const metrics = moz.urlMetrics.fetch('moz.com', { cols: ['Domain Authority', 'Page Authority'] });
+  const position: number = metrics.queuePosition();
+  const row: RawRow = (await metrics).data;
+  const decoded: DecodedRow = (await moz.urlMetrics.fetch('moz.com', {}, { decode: true })).data;
+
+  const batch = await moz.urlMetrics.fetch(['moz.com', 'example.com'], {}, { batchSize: 5 });
+  const byUrl: RawRow = batch.byUrl['moz.com'];
+
+  await moz.links.fetch('moz.com', { scope: 'page_to_domain', sort: 'domain_authority', filter: ['external', 'follow'] });
+  await moz.anchorText.fetch('moz.com', { scope: 'phrase_to_page', cols: ['Term or Phrase'] });
+  await moz.topPages.fetch('moz.com', { filter: 'status200', sort: 'page_authority' });
+  await moz.topPages.fetch('moz.com', { filter: ['status200', 'status301'] });
+  await moz.anchorText.fetch('moz.com', { scope: 'term_to_page', filter: ['external'] });
+  await moz.metadata.fetch('last_update');
+  const published: Date | null = await moz.metadata.lastUpdate();
+  const indexed: number = (await moz.metadata.indexStats()).nextUpdate!.getTime();
+  new Moz({ accessId: 'id', secretKey: 'secret', cache: { ttl: 86400000, checkIndex: true } });
+
+  for await (const link of moz.links.iterate('moz.com', { limit: 50 }, { maxRows: 200, decode: true })) {
+    const value: DecodedRow = link;
+  }
+
+  const query = moz.links.for('moz.com').scope('page_to_domain').sort('domain_authority').filter('external', 'follow');
+  const url: string = query.limit(50).toRequest().url;
+  const links: RawRow[] = (await query.fetch()).data;
+  await moz.anchorText.for('moz.com').scope('phrase_to_page').cols(['Term or Phrase']).fetch({ decode: true });
+
+  // @ts-expect-error links has no cols
+  moz.links.for('moz.com').cols(['Title']);
+
+  await v2.links.fetch('moz.com', { scope: 'root_domain' });
+  await v2.usageData.fetch();
+
+  moz.encodeCols(['Anchor Text'], 'links');
+  moz.encodeCols(['Title', 'External Equity Links']);
+  moz.decodeCols('2057');
+  moz.setRetryPolicy({ attempts: 5, statusCodes: [429, 503] });
+  moz.setRateLimit({ requests: 10, interval: 1000, concurrency: 2 });
+
+  try {
+    await metrics;
+  } catch (error) {
+    if (error instanceof MozRateLimitError) {
+      const wait: number | null = error.retryAfter;
+    } else if (error instanceof MozValidationError) {
+      const field: string | undefined = error.field;
+    }
+  }
+
+  // @ts-expect-error unknown column
+  moz.urlMetrics.fetch('moz.com', { cols: ['not_a_column'] });
+
+  // @ts-expect-error unknown scope
+  moz.links.fetch('moz.com', { scope: 'page_to_everything' });
+
+  // @ts-expect-error metadata is v1 only
+  v2.metadata.fetch('last_update');
+}
+
+check();